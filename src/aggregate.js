@@ -0,0 +1,29 @@
+import { getProtocolFor } from "./protocol";
+import { then } from "./util";
+
+/**
+ * Run an aggregation pipeline on a collection.
+ *
+ * Requires the optional protocol `aggregate` method. Documents are returned
+ * as produced by the pipeline: the collection transform is not applied.
+ * Works with both synchronous and asynchronous protocols.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object[]} [pipeline=[]] - MongoDB aggregation stages.
+ * @param {Object} [options] - Optional. Options to pass to the protocol
+ * @returns {Array|Promise<Array>} The resulting documents.
+ *
+ * @example
+ * // Number of posts per author
+ * const stats = await aggregate(Posts, [
+ *   { $match: { status: 'published' } },
+ *   { $group: { _id: '$authorId', count: { $sum: 1 } } },
+ * ]);
+ */
+export function aggregate(Coll, pipeline = [], options) {
+  const { aggregate: _aggregate } = getProtocolFor(Coll);
+
+  // Normalize sync/async protocol result to a Promise-like flow
+  return then(_aggregate(Coll, pipeline, options), (res) => res);
+}
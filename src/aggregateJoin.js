@@ -0,0 +1,175 @@
+import { getProtocolFor } from "./protocol";
+import { idKey } from "./protocols/observeHelpers";
+import { getPropValue, isArr, isFunc, isNil, isObj, then } from "./util";
+
+/**
+ * @typedef {'count'|'exists'|{sum: string}|{min: string}|{max: string}} JoinAggregate
+ * Aggregated value attached by a join instead of the joined documents:
+ * - 'count':  number of joined docs
+ * - 'exists': whether there is at least one joined doc
+ * - { sum|min|max: field }: accumulated value of a joined docs field
+ */
+
+/**
+ * Create a join fetcher for a join defining `aggregate`.
+ * Values are computed by the protocol `aggregate` method, without loading
+ * joined documents. Returns a function (doc, index) => docWithJoin.
+ *
+ * - Array joins: a single grouped query for all parents.
+ * - Object joins: a single query, whose value is shared by all parents.
+ * - Function joins: a query per distinct selector.
+ *
+ * @param {Object} args
+ * @param {JoinDef & {_key: string}} args.join - The join definition with internal key.
+ * @param {Object[]} args.docs - Parent documents.
+ * @returns {Function|Promise<Function>}
+ * @internal
+ */
+export function createAggregateJoinFetcher({ join, docs }) {
+  const { _key, Coll: joinColl, on, aggregate, postFetch } = join;
+  const [operation, field] = parseAggregate(aggregate);
+
+  /* Build the final value for a parent from its group results */
+  function attach(doc, groups) {
+    const value = reduceGroups(operation, groups);
+    const afterPostFetch = isFunc(postFetch) ? postFetch(value, doc) : value;
+    return { ...doc, [_key]: afterPostFetch };
+  }
+
+  if (isArr(on)) {
+    const [fromProp, toProp, toSelector = {}] = on;
+    const fromName = isArr(fromProp) ? fromProp[0] : fromProp;
+    const toName = isArr(toProp) ? toProp[0] : toProp;
+
+    const keysByDoc = docs.map((doc) =>
+      toValueList(getPropValue(fromName, doc))
+    );
+    const keys = Array.from(
+      new Map(keysByDoc.flat().map((key) => [idKey(key), key])).values()
+    );
+
+    const pipeline = [
+      { $match: { ...toSelector, [toName]: { $in: keys } } },
+      // Group array values by element, keeping only the parents' keys
+      ...(isArr(toProp)
+        ? [{ $unwind: `$${toName}` }, { $match: { [toName]: { $in: keys } } }]
+        : []),
+      { $group: { _id: `$${toName}`, ...accumulators(operation, field) } },
+    ];
+
+    return then(
+      keys.length ? runAggregate(joinColl, pipeline) : [],
+
+      (groups) => {
+        const groupsByKey = new Map(
+          groups.map((group) => [idKey(group._id), group])
+        );
+
+        return (doc, index) =>
+          attach(
+            doc,
+            keysByDoc[index]
+              .map((key) => groupsByKey.get(idKey(key)))
+              .filter(Boolean)
+          );
+      }
+    );
+  }
+
+  if (isObj(on)) {
+    return then(
+      runSelectorAggregate(joinColl, on, operation, field),
+      (groups) => (doc) => attach(doc, groups)
+    );
+  }
+
+  // Function joins: parents resolving to the same selector share a query
+  const { stringify } = getProtocolFor(joinColl);
+  const selectors = docs.map((doc) => on(doc));
+  const selectorKeys = selectors.map((selector) => stringify(selector));
+  const distinctSelectors = new Map(
+    selectorKeys.map((selectorKey, i) => [selectorKey, selectors[i]])
+  );
+
+  return then(
+    Array.from(distinctSelectors.values()).map((selector) =>
+      runSelectorAggregate(joinColl, selector, operation, field)
+    ),
+
+    (groupsList) => {
+      const groupsByKey = new Map(
+        Array.from(distinctSelectors.keys()).map((selectorKey, i) => [
+          selectorKey,
+          groupsList[i],
+        ])
+      );
+
+      return (doc, index) => attach(doc, groupsByKey.get(selectorKeys[index]));
+    }
+  );
+}
+
+/**
+ * Normalize an aggregate definition into [operation, field].
+ *
+ * @param {JoinAggregate} aggregate
+ * @returns {[string, string|undefined]|undefined} Undefined if the definition is invalid.
+ * @internal
+ */
+export function parseAggregate(aggregate) {
+  if (["count", "exists"].includes(aggregate)) return [aggregate, undefined];
+  if (!isObj(aggregate)) return undefined;
+
+  const [operation, ...others] = Object.keys(aggregate);
+  const field = aggregate[operation];
+
+  const isValid =
+    ["sum", "min", "max"].includes(operation) &&
+    !others.length &&
+    typeof field === "string";
+
+  return isValid ? [operation, field] : undefined;
+}
+
+/* Aggregate documents matching a selector in a single group. */
+function runSelectorAggregate(Coll, selector, operation, field) {
+  return runAggregate(Coll, [
+    { $match: selector },
+    { $group: { _id: null, ...accumulators(operation, field) } },
+  ]);
+}
+
+function runAggregate(Coll, pipeline) {
+  return getProtocolFor(Coll).aggregate(Coll, pipeline);
+}
+
+/* `$group` accumulators computing an operation. */
+function accumulators(operation, field) {
+  if (["count", "exists"].includes(operation)) return { count: { $sum: 1 } };
+  return { value: { [`$${operation}`]: `$${field}` } };
+}
+
+/* Combine the group results of a parent into its aggregated value.
+ * A parent may have several keys (array fromProp), hence several groups. */
+function reduceGroups(operation, groups = []) {
+  if (operation === "count") {
+    return groups.reduce((sum, { count }) => sum + count, 0);
+  }
+
+  if (operation === "exists") return groups.some(({ count }) => count > 0);
+
+  const values = groups.map(({ value }) => value).filter((v) => !isNil(v));
+  if (operation === "sum") return values.reduce((sum, v) => sum + v, 0);
+  if (!values.length) return undefined;
+
+  return values.reduce((acc, v) =>
+    (operation === "min" ? v < acc : v > acc) ? v : acc
+  );
+}
+
+/* Normalize a parent prop value to a list of distinct keys, ignoring nil values. */
+function toValueList(value) {
+  const list = isArr(value) ? value : [value];
+  const keys = list.filter((x) => !isNil(x)).map((key) => [idKey(key), key]);
+  return Array.from(new Map(keys).values());
+}
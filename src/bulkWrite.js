@@ -0,0 +1,248 @@
+import { clearCache } from "./cache";
+import { fetchList } from "./fetch";
+import { combineFields } from "./fields";
+import { getHook } from "./hook";
+import { runBeforeInsert, runOnInserted } from "./insert";
+import { getProtocolFor } from "./protocol";
+import { idKey } from "./protocols/observeHelpers";
+import { getBeforeFields, runOnUpdated } from "./update";
+import { fireAndForget, isArr, isFunc, isObj, then, uniqueBy } from "./util";
+
+/* Operation types targeting existing documents, by hooks family */
+const UPDATE_TYPES = ["updateOne", "updateMany", "replaceOne"];
+const DELETE_TYPES = ["deleteOne", "deleteMany"];
+
+/* Operation types targeting a single document */
+const SINGLE_TYPES = ["updateOne", "replaceOne", "deleteOne"];
+
+const OPERATION_TYPES = ["insertOne", ...UPDATE_TYPES, ...DELETE_TYPES];
+
+/**
+ * Run ordered write operations on a collection with hook support.
+ * Operations use the MongoDB `bulkWrite` format:
+ * `insertOne`, `updateOne`, `updateMany`, `replaceOne`, `deleteOne` and `deleteMany`.
+ *
+ * Execution flow (sync or async depending on the active protocol):
+ * 1) If update, upsert or remove hooks are defined, fetch the documents targeted
+ *    by each operation through the protocol (a single one for `xOne` operations).
+ * 2) Run `beforeInsert` for each inserted doc, `beforeUpdate(docs, modifier)`
+ *    for each update or replacement, `beforeUpsert(filter, modifier)` for each
+ *    upsert targeting no document and `beforeRemove(docs)` for each deletion.
+ *    Any error prevents the whole bulk write.
+ * 3) Call protocol.bulkWrite(Coll, operations, options), then invalidate
+ *    cached query results depending on the collection.
+ * 4) Run `onInserted` for inserted (and upserted) docs, `onUpdated` for
+ *    updated docs and `onRemoved` for removed docs. Inserted and updated docs
+ *    are fetched again with a single query each (fire-and-forget hooks).
+ *
+ * Notes:
+ * - Before hooks all receive documents as they were before the bulk write.
+ *
+ * Requires the optional protocol `bulkWrite` method.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object[]} operations - Write operations, in MongoDB `bulkWrite` format.
+ * @param {Object} [options] - Optional. Options to pass to the protocol.
+ * @returns {Object|Promise<Object>} The protocol result, shaped like MongoDB's `BulkWriteResult`.
+ * @throws {TypeError} If operations are invalid.
+ *
+ * @example
+ * await bulkWrite(Users, [
+ *   { insertOne: { document: { name: 'Alice' } } },
+ *   { updateOne: { filter: { name: 'Bob' }, update: { $set: { active: true } } } },
+ *   { deleteMany: { filter: { active: false } } },
+ * ]);
+ */
+export function bulkWrite(Coll, operations, options) {
+  if (!isArr(operations)) {
+    throw new TypeError("'bulkWrite' requires an array of operations.");
+  }
+
+  const parsed = operations.map(parseOperation);
+  const protocol = getProtocolFor(Coll);
+
+  const beforeUpdateHook = getHook(Coll, "beforeUpdate");
+  const onUpdatedHook = getHook(Coll, "onUpdated");
+  const beforeRemoveHook = getHook(Coll, "beforeRemove");
+  const onRemovedHook = getHook(Coll, "onRemoved");
+  const beforeUpsertHook = getHook(Coll, "beforeUpsert");
+
+  // Upserts run `beforeUpsert` if they target no document
+  const isHookedUpsert = ({ type, args }) =>
+    UPDATE_TYPES.includes(type) &&
+    !!args.upsert &&
+    isFunc(beforeUpsertHook?.fn);
+
+  // Fields to prefetch by hooks family (null => no hooks => no prefetch)
+  const updateFields = getBeforeFields(beforeUpdateHook, onUpdatedHook);
+  const removeFields =
+    beforeRemoveHook || onRemovedHook
+      ? combineFields(beforeRemoveHook?.fields, onRemovedHook?.fields)
+      : null;
+
+  const targeting = parsed.filter(
+    (operation) =>
+      (updateFields !== null && UPDATE_TYPES.includes(operation.type)) ||
+      (removeFields !== null && DELETE_TYPES.includes(operation.type)) ||
+      isHookedUpsert(operation)
+  );
+
+  return then(
+    fetchTargets(Coll, targeting, (type) => {
+      if (!UPDATE_TYPES.includes(type)) return removeFields;
+      // Without update hooks, a single _id tells whether an upsert matches
+      return updateFields === null ? { _id: 1 } : updateFields;
+    }),
+
+    (docsByOperation) => {
+      const targetsOf = (operation) => docsByOperation.get(operation) || [];
+
+      return then(
+        /* Run before hooks. Can throw an error to prevent the bulk write. */
+        [
+          runBeforeInsert(
+            Coll,
+            parsed
+              .filter(({ type }) => type === "insertOne")
+              .map(({ args }) => args.document)
+          ),
+
+          ...parsed.map((operation) => {
+            const { type, args } = operation;
+
+            if (UPDATE_TYPES.includes(type)) {
+              const modifier =
+                type === "replaceOne" ? args.replacement : args.update;
+              const targets = targetsOf(operation);
+
+              return then(
+                isFunc(beforeUpdateHook?.fn) &&
+                  beforeUpdateHook.fn(targets, modifier),
+                () =>
+                  isHookedUpsert(operation) && !targets.length
+                    ? beforeUpsertHook.fn(args.filter, modifier)
+                    : undefined
+              );
+            }
+
+            if (DELETE_TYPES.includes(type) && isFunc(beforeRemoveHook?.fn)) {
+              return beforeRemoveHook.fn(targetsOf(operation));
+            }
+
+            return undefined;
+          }),
+        ],
+
+        () =>
+          then(protocol.bulkWrite(Coll, operations, options), (result) => {
+            const {
+              insertedCount = 0,
+              upsertedCount = 0,
+              modifiedCount = 0,
+              deletedCount = 0,
+            } = result || {};
+
+            if (
+              insertedCount ||
+              upsertedCount ||
+              modifiedCount ||
+              deletedCount
+            ) {
+              clearCache(Coll);
+            }
+
+            const listTargets = (types) =>
+              uniqueBy(
+                (doc) => idKey(doc._id),
+                parsed
+                  .filter(({ type }) => types.includes(type))
+                  .flatMap(targetsOf)
+              );
+
+            const removedDocs = deletedCount ? listTargets(DELETE_TYPES) : [];
+
+            if (removedDocs.length && isFunc(onRemovedHook?.fn)) {
+              /* Pass each (pre-fetched) doc to `onRemoved` hook.
+               * Do NOT await, should run asynchronously if protocol allows. */
+              fireAndForget(
+                () => removedDocs.forEach((doc) => onRemovedHook.fn(doc)),
+                // eslint-disable-next-line no-console
+                (err) => console?.error("'onRemoved' error:", err)
+              );
+            }
+
+            return then(
+              [
+                runOnInserted(Coll, [
+                  ...listIndexedIds(result?.insertedIds),
+                  ...listIndexedIds(result?.upsertedIds),
+                ]),
+                modifiedCount
+                  ? runOnUpdated(Coll, listTargets(UPDATE_TYPES))
+                  : undefined,
+              ],
+              () => result
+            );
+          })
+      );
+    }
+  );
+}
+
+/* Validate an operation and split it into its type and arguments. */
+function parseOperation(operation) {
+  const [type, ...others] = isObj(operation) ? Object.keys(operation) : [];
+
+  if (!OPERATION_TYPES.includes(type) || others.length) {
+    throw new TypeError(
+      `Invalid bulk write operation '${Object.keys(operation || {}).join(", ")}'.`
+    );
+  }
+
+  const args = operation[type];
+  const argName = type === "insertOne" ? "document" : "filter";
+
+  if (!isObj(args?.[argName])) {
+    throw new TypeError(`'${type}' operation requires a '${argName}' object.`);
+  }
+
+  return { type, args };
+}
+
+/**
+ * Fetch the documents targeted by each operation through the protocol,
+ * so that filters are evaluated by the database. Single document operations
+ * only target their first matching document.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {{type: string, args: Object}[]} operations - Parsed operations.
+ * @param {(type: string) => import('./fields').FieldSpec|true|undefined} getFields - Fields
+ *   required by the hooks of an operation type.
+ * @returns {Map<Object, Object[]>|Promise<Map<Object, Object[]>>} Targeted docs by operation.
+ * @internal
+ */
+function fetchTargets(Coll, operations, getFields) {
+  if (!operations.length) return new Map();
+
+  return then(
+    operations.map(({ type, args }) =>
+      fetchList(Coll, args.filter, {
+        fields: getFields(type),
+        limit: SINGLE_TYPES.includes(type) ? 1 : undefined,
+      })
+    ),
+
+    (docsByIndex) =>
+      new Map(operations.map((operation, i) => [operation, docsByIndex[i]]))
+  );
+}
+
+/* List the ids of a `{ [operationIndex]: _id }` object, in operations order. */
+function listIndexedIds(idsByIndex) {
+  if (!isObj(idsByIndex)) return [];
+
+  return Object.keys(idsByIndex)
+    .sort((a, b) => Number(a) - Number(b))
+    .map((index) => idsByIndex[index]);
+}
@@ -0,0 +1,260 @@
+import { withComputedDeps } from "./computed";
+import { dispatchFields } from "./fields";
+import { getJoins, listPolymorphicTypes, mergeTypeFields } from "./join";
+import { getProtocolFor } from "./protocol";
+import { isInTransaction } from "./transaction";
+import { hasOwn, isArr, isFunc, isObj, isPromise, normalizeSort } from "./util";
+
+const TTL = 1000;
+const MAX_SIZE = 500;
+
+let ttl = TTL;
+let maxSize = MAX_SIZE;
+
+/**
+ * Cached results by query key, in least recently used first order.
+ * Map<queryKey, { value, expiresAt, colls: Set<Collection> }>
+ * @type {Map<string, {value: any, expiresAt: number, colls: Set<*>}>}
+ * @internal
+ */
+const entries = new Map();
+
+/**
+ * Query keys of the cached results depending on a collection.
+ * Map<Collection, Set<queryKey>>
+ * @type {Map<*, Set<string>>}
+ * @internal
+ */
+const keysByColl = new Map();
+
+/**
+ * Identity of each collection in query keys, so that collections sharing
+ * a name (or without any) never share cached results.
+ * WeakMap<Collection, number>
+ * @type {WeakMap<*, number>}
+ * @internal
+ */
+const collIds = new WeakMap();
+let lastCollId = 0;
+
+/**
+ * Configure the query results cache used by fetches with the `cache` option.
+ * Existing entries are kept until they expire or get invalidated.
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.ttl=1000] - Default time to live of cached results (ms).
+ * @param {number} [options.maxSize=500] - Maximum number of cached results.
+ *   The least recently used ones are dropped first.
+ * @throws {TypeError} If options are invalid.
+ *
+ * @example
+ * configureCache({ ttl: 5000, maxSize: 1000 });
+ */
+export function configureCache({
+  ttl: nextTtl = TTL,
+  maxSize: nextMaxSize = MAX_SIZE,
+} = {}) {
+  validateTtl(nextTtl);
+
+  if (!(Number.isInteger(nextMaxSize) && nextMaxSize >= 0)) {
+    throw new TypeError("'maxSize' must be a positive integer or 0.");
+  }
+
+  ttl = nextTtl;
+  maxSize = nextMaxSize;
+  evictOverflow();
+}
+
+/**
+ * Drop the cached results depending on a collection,
+ * or all of them if no collection is provided.
+ * Write functions (`insert`, `update`, `remove`, `bulkWrite`...) call it for
+ * the collection they write to.
+ * Writes performed outside of `coll-fns` require calling it explicitly.
+ *
+ * @template TColl
+ * @param {TColl} [Coll] - The written collection.
+ */
+export function clearCache(Coll) {
+  if (Coll === undefined) {
+    entries.clear();
+    keysByColl.clear();
+    return;
+  }
+
+  Array.from(keysByColl.get(Coll) || []).forEach(deleteEntry);
+}
+
+/**
+ * Return the cached result of a fetch, or run it and cache its result.
+ * A pending result is cached as well, so concurrent identical fetches share it.
+ * Rejected results are not kept. Fetches within a transaction bypass the cache,
+ * since they can see uncommitted writes, as well as fetches whose selector or
+ * options hold functions (ex: `$required` predicates), which keys can't capture.
+ * Cached values are shared: callers must copy them before returning them.
+ *
+ * @param {*} Coll - The fetched collection.
+ * @param {Object} selector - MongoDB-style query selector.
+ * @param {Object} options - Fetch options affecting the result (fields, sort, limit, skip, lookup...).
+ * @param {true|{ttl?: number}} cacheOptions - The `cache` fetch option.
+ * @param {() => any} fetch - Run the fetch.
+ * @returns {any} The cached or fetched result, possibly a promise.
+ * @throws {TypeError} If the `ttl` option is invalid.
+ * @internal
+ */
+export function withCache(Coll, selector, options, cacheOptions, fetch) {
+  if (isInTransaction() || hasFunction(selector) || hasFunction(options)) {
+    return fetch();
+  }
+
+  const entryTtl =
+    isObj(cacheOptions) && cacheOptions.ttl !== undefined
+      ? cacheOptions.ttl
+      : ttl;
+  validateTtl(entryTtl);
+
+  const key = createCacheKey(Coll, selector, options);
+  const cached = entries.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    // Move to the end as the most recently used
+    entries.delete(key);
+    entries.set(key, cached);
+    return cached.value;
+  }
+
+  if (cached) deleteEntry(key);
+
+  const value = fetch();
+  if (!maxSize) return value;
+
+  const entry = {
+    value,
+    expiresAt: Date.now() + entryTtl,
+    colls: listQueriedColls(Coll, options),
+  };
+
+  setEntry(key, entry);
+
+  if (isPromise(value)) {
+    value.then(
+      (resolved) => {
+        // Keep the resolved value, unless invalidated meanwhile
+        if (entries.get(key) === entry) entry.value = resolved;
+      },
+      () => {
+        if (entries.get(key) === entry) deleteEntry(key);
+      }
+    );
+  }
+
+  return value;
+}
+
+/* Key a fetch by collection identity, selector and all its options. */
+function createCacheKey(Coll, selector, options) {
+  if (!collIds.has(Coll)) collIds.set(Coll, ++lastCollId);
+
+  const { stringify } = getProtocolFor(Coll);
+  return [collIds.get(Coll), stringify(selector), stringify(options)].join("|");
+}
+
+/* Whether a value holds a function, at any depth. */
+function hasFunction(value) {
+  if (isFunc(value)) return true;
+  if (isArr(value)) return value.some(hasFunction);
+  if (isObj(value)) return Object.values(value).some(hasFunction);
+  return false;
+}
+
+/* Register an entry and index it by the collections it depends on. */
+function setEntry(key, entry) {
+  entries.set(key, entry);
+
+  entry.colls.forEach((Coll) => {
+    if (!keysByColl.has(Coll)) keysByColl.set(Coll, new Set());
+    keysByColl.get(Coll).add(key);
+  });
+
+  evictOverflow();
+}
+
+function deleteEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  entries.delete(key);
+
+  entry.colls.forEach((Coll) => {
+    const keys = keysByColl.get(Coll);
+    keys?.delete(key);
+    if (keys && !keys.size) keysByColl.delete(Coll);
+  });
+}
+
+/* Drop the least recently used entries above the maximum size. */
+function evictOverflow() {
+  const overflow = Array.from(entries.keys()).slice(
+    0,
+    Math.max(0, entries.size - maxSize)
+  );
+  overflow.forEach(deleteEntry);
+}
+
+/* List the collections a fetch queries: its own, and those reached through
+ * the joins requested in fields or sorted by, recursively. */
+function listQueriedColls(Coll, { fields, sort } = {}, visited = new Set()) {
+  const joins = getJoins(Coll);
+  const computedSpec = withComputedDeps(Coll, fields);
+  const { "+": joinFields = {} } = dispatchFields(
+    computedSpec ? computedSpec.fields : fields,
+    joins
+  );
+
+  const sortedJoinFields = Object.fromEntries(
+    normalizeSort(sort)
+      .map(([key]) => key.split(".")[0])
+      .filter((root) => hasOwn(joins, root) && !hasOwn(joinFields, root))
+      .map((root) => [root, 1])
+  );
+
+  return Object.entries({ ...joinFields, ...sortedJoinFields }).reduce(
+    (colls, [key, subFields]) => {
+      const join = joins[key];
+      if (!join || !subFields || visited.has(join)) return colls;
+
+      // Recursive joins are walked once
+      visited.add(join);
+
+      const targets = join.polymorphic
+        ? listPolymorphicTypes(join.polymorphic).map(([, type]) => [
+            type.Coll,
+            mergeTypeFields(subFields, type.fields),
+          ])
+        : [[join.Coll, subFields]];
+
+      const joinedColls = targets.flatMap(([joinColl, joinFields]) =>
+        Array.from(
+          listQueriedColls(
+            joinColl,
+            { fields: isObj(joinFields) ? joinFields : undefined },
+            visited
+          )
+        )
+      );
+
+      return new Set([
+        ...colls,
+        ...(join.through ? [join.through.Coll] : []),
+        ...joinedColls,
+      ]);
+    },
+    new Set([Coll])
+  );
+}
+
+function validateTtl(value) {
+  if (!(Number.isFinite(value) && value > 0)) {
+    throw new TypeError("'ttl' must be a finite positive number.");
+  }
+}
@@ -0,0 +1,251 @@
+import { dispatchFields, flattenFields, isolateJoinFields } from "./fields";
+import { getJoinPrefix, getJoins } from "./join";
+import { hasOwn, isArr, isFunc, isObj, then } from "./util";
+
+/**
+ * @typedef {Object} ComputedDef
+ * @property {Object} [deps] - Fields (own and join fields) the value is computed from.
+ * @property {(doc: any) => any} fn - Compute the value from a document
+ *   holding its deps, with joins attached. May return a promise.
+ */
+
+/**
+ * Global registry of computed fields definitions per collection instance.
+ * Map<Collection, Record<string, ComputedDef>>
+ * @type {Map<*, Record<string, ComputedDef>|undefined>}
+ * @internal
+ */
+const computedDictionary = new Map();
+
+/**
+ * Register/augment computed fields for a collection.
+ *
+ * A computed field is requested like any own field (`{ fields: { fullName: 1 } }`).
+ * Its deps are then fetched, its function is evaluated once joins are attached,
+ * and deps the caller did not request are removed from the returned documents.
+ * Computed fields are only attached when requested explicitly.
+ *
+ * Calling with `defs` falsy clears existing computed fields for the collection.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Record<string, ComputedDef>|undefined|null|false} defs - Map of key -> computed field definition.
+ * @throws {TypeError} If a definition has no function or invalid deps.
+ *
+ * @example
+ * computed(Users, {
+ *   fullName: {
+ *     deps: { firstName: 1, lastName: 1 },
+ *     fn: (user) => `${user.firstName} ${user.lastName}`,
+ *   },
+ * });
+ *
+ * const users = await fetchList(Users, {}, { fields: { fullName: 1 } });
+ * // => [{ _id, fullName }]
+ */
+export function computed(Coll, defs) {
+  if (!defs) {
+    computedDictionary.set(Coll, undefined);
+    return;
+  }
+
+  Object.entries(defs).forEach(([key, def]) => {
+    if (!isFunc(def?.fn)) {
+      throw new TypeError(`Computed field '${key}' requires a function 'fn'.`);
+    }
+
+    if (def.deps !== undefined && !isObj(def.deps)) {
+      throw new TypeError(
+        `Computed field '${key}' 'deps' must be a fields specification object.`
+      );
+    }
+  });
+
+  computedDictionary.set(Coll, { ...computedDictionary.get(Coll), ...defs });
+}
+
+/**
+ * Retrieve declared computed fields for a collection.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @returns {Record<string, ComputedDef>} The computed field definitions keyed by name.
+ */
+export function getComputed(Coll) {
+  return computedDictionary.get(Coll) || {};
+}
+
+/**
+ * @typedef {Object} ComputedSpec
+ * @property {string[]} keys - Requested computed fields.
+ * @property {Object} fields - Fields to fetch: requested ones, without computed keys, and deps.
+ * @property {(doc: Object) => any} evaluate - Compute the requested values of a
+ *   doc fetched with `fields`. Returns an object of values, or a promise of it.
+ * @property {(doc: Object) => Object} project - Remove the deps the caller did not request.
+ * @property {(docs: Object[]) => Object[]|Promise<Object[]>} finalize - Evaluate
+ *   and project a list of docs.
+ */
+
+/**
+ * Resolve the computed fields requested in a fields specification.
+ *
+ * Computed keys act as included own fields: when only computed and join fields
+ * are requested, other own fields are not returned.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object|undefined} fields - Requested fields.
+ * @returns {ComputedSpec|undefined} Undefined if no computed field is requested.
+ * @internal
+ */
+export function withComputedDeps(Coll, fields) {
+  const defs = getComputed(Coll);
+  if (!isObj(fields)) return undefined;
+
+  const keys = Object.keys(fields).filter(
+    (key) => fields[key] && hasOwn(defs, key)
+  );
+  if (!keys.length) return undefined;
+
+  const joins = getJoins(Coll);
+  const joinPrefix = getJoinPrefix();
+
+  const requested = Object.fromEntries(
+    Object.entries(fields).filter(([key]) => !hasOwn(defs, key))
+  );
+
+  const { "+": joinFields = {}, ...ownFields } = isolateJoinFields(
+    requested,
+    joins
+  );
+  const own = flattenFields(ownFields) || {};
+
+  const deps = keys.reduce(
+    (acc, key) => mergeFields(acc, defs[key].deps || {}),
+    {}
+  );
+  const { "+": depJoinFields = {}, ...depOwnFields } = isolateJoinFields(
+    deps,
+    joins
+  );
+  const depPaths = Object.keys(flattenFields(depOwnFields) || {});
+
+  // Mongo projections either include or exclude fields (`_id` aside)
+  const isExclusion = Object.entries(own).some(
+    ([key, value]) => key !== "_id" && !value
+  );
+
+  const overlaps = (a, b) =>
+    a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+  // Exclusions hiding deps are lifted, included paths already cover deps
+  const fetchedOwn = isExclusion
+    ? Object.fromEntries(
+        Object.entries(own).filter(
+          ([key]) => !depPaths.some((path) => overlaps(path, key))
+        )
+      )
+    : depPaths.reduce(
+        (acc, path) =>
+          Object.keys(acc).some((key) => acc[key] && overlaps(path, key))
+            ? acc
+            : { ...acc, [path]: 1 },
+        own
+      );
+
+  const strippedPaths = isExclusion
+    ? Object.keys(own).filter((key) => !hasOwn(fetchedOwn, key))
+    : depPaths.filter(
+        (path) =>
+          !Object.keys(own).some((key) => own[key] && overlaps(path, key))
+      );
+
+  // Root keys returned without computed fields, including the parent keys of
+  // requested joins. Others, like parent keys of dep joins, are removed.
+  const { _: requestedOwn = {} } = dispatchFields(
+    { _id: 1, ...requested },
+    joins
+  );
+  const keptRoots = isExclusion
+    ? undefined
+    : [
+        ...Object.keys(requestedOwn)
+          .filter((key) => requestedOwn[key])
+          .map((key) => key.split(".")[0]),
+        ...Object.keys(joinFields),
+      ];
+
+  const strippedJoinKeys = Object.keys(depJoinFields).filter(
+    (key) => !hasOwn(joinFields, key)
+  );
+
+  const fetchedJoins = mergeFields(joinFields, depJoinFields);
+  const hasJoins = Object.keys(fetchedJoins).length > 0;
+
+  const fetchFields = {
+    // Fetch `_id` only rather than all own fields when none is requested
+    ...(Object.keys(fetchedOwn).length || isExclusion
+      ? fetchedOwn
+      : { _id: 1 }),
+    ...(hasJoins &&
+      (joinPrefix ? { [joinPrefix]: fetchedJoins } : fetchedJoins)),
+  };
+
+  function evaluate(doc) {
+    return then(
+      keys.map((key) => defs[key].fn(doc)),
+      (values) => Object.fromEntries(keys.map((key, i) => [key, values[i]]))
+    );
+  }
+
+  function project(doc) {
+    const requestedRoots = Object.fromEntries(
+      Object.entries(doc).filter(([key]) =>
+        keptRoots ? keptRoots.includes(key) : !strippedJoinKeys.includes(key)
+      )
+    );
+
+    return strippedPaths.reduce(
+      (acc, path) => omitPath(path.split("."), acc),
+      requestedRoots
+    );
+  }
+
+  function finalize(docs) {
+    return then(
+      docs.map((doc) =>
+        then(evaluate(doc), (values) => ({ ...project(doc), ...values }))
+      ),
+      (computedDocs) => computedDocs
+    );
+  }
+
+  return { keys, fields: fetchFields, evaluate, project, finalize };
+}
+
+/* Deep merge two fields specifications.
+ * A truthy scalar selects a whole subtree, so it prevails over an object. */
+function mergeFields(a, b) {
+  return Object.entries(b).reduce((acc, [key, value]) => {
+    const prev = acc[key];
+    if (isObj(prev) && isObj(value)) {
+      return { ...acc, [key]: mergeFields(prev, value) };
+    }
+
+    if (!value || (prev && !isObj(prev))) return acc;
+    return { ...acc, [key]: value };
+  }, a);
+}
+
+/* Remove a path from a document, descending into arrays of subdocuments. */
+function omitPath([key, ...subKeys], value) {
+  if (isArr(value))
+    return value.map((item) => omitPath([key, ...subKeys], item));
+  if (!isObj(value) || !hasOwn(value, key)) return value;
+
+  if (!subKeys.length) {
+    const { [key]: _omitted, ...rest } = value;
+    return rest;
+  }
+
+  return { ...value, [key]: omitPath(subKeys, value[key]) };
+}
@@ -1,4 +1,4 @@
-import { getProtocol } from "./protocol";
+import { getProtocolFor } from "./protocol";
 import { then } from "./util";
 
 /**
@@ -21,7 +21,7 @@ import { then } from "./util";
  * const total = await count(UsersCollection, {});
  */
 export function count(Coll, selector, options) {
-  const { count: _count } = getProtocol();
+  const { count: _count } = getProtocolFor(Coll);
 
   // Normalize sync/async protocol result to a Promise-like flow
   return then(_count(Coll, selector, options), (res) => res);
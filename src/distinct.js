@@ -0,0 +1,27 @@
+import { getProtocolFor } from "./protocol";
+import { then } from "./util";
+
+/**
+ * Get the distinct values of a field among documents matching the selector.
+ * Array values are unwound, so that each element counts as a value.
+ *
+ * Requires the optional protocol `distinct` method.
+ * Works with both synchronous and asynchronous protocols.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {string} key - Field path (dot-notation) to get the values of.
+ * @param {Object} [selector={}] - MongoDB-style query selector.
+ * @param {Object} [options] - Optional. Options to pass to the protocol
+ * @returns {Array|Promise<Array>} The distinct values.
+ *
+ * @example
+ * // Countries of active users
+ * const countries = await distinct(Users, 'address.country', { status: 'active' });
+ */
+export function distinct(Coll, key, selector = {}, options) {
+  const { distinct: _distinct } = getProtocolFor(Coll);
+
+  // Normalize sync/async protocol result to a Promise-like flow
+  return then(_distinct(Coll, key, selector, options), (res) => res);
+}
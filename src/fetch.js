@@ -1,21 +1,46 @@
-import { getProtocol } from "./protocol";
+import { createAggregateJoinFetcher } from "./aggregateJoin";
+import { withCache } from "./cache";
+import { withComputedDeps } from "./computed";
+import { count as countDocs } from "./count";
+import { getProtocolFor, hasProtocolMethod } from "./protocol";
 import { then } from "./util";
 import {
   decrementRecursiveField,
   dispatchFields,
+  getJoinRequirement,
+  meetsJoinRequirement,
   normalizeFields,
+  omitRequired,
 } from "./fields";
-import { getJoins } from "./join";
 import {
+  getJoinPrefix,
+  getJoins,
+  listPolymorphicTypes,
+  mergeTypeFields,
+  propName,
+} from "./join";
+import { compileLookups } from "./lookup";
+import { idKey } from "./protocols/observeHelpers";
+import {
+  deepCopy,
   getPropValue,
-  includesSome,
+  hasOwn,
   isArr,
   isFunc,
+  isNil,
   isObj,
+  normalizeSort,
+  sortDocs,
   typeOf,
   uniqueBy,
 } from "./util";
 
+/* Default number of documents fetched and joined at a time by fetchStream */
+const STREAM_BATCH_SIZE = 500;
+
+/* Minimum number of base documents fetched at a time when filtering them by joins */
+const FILTERED_PAGE_SIZE = 100;
+
 /**
  * @typedef {Object} FetchOptions
  * @property {Object} [fields] - Field projection. Supports nested objects and '+' join fields.
@@ -23,6 +48,9 @@ import {
  * @property {number} [limit] - Max number of documents to return.
  * @property {number} [skip] - Number of documents to skip.
  * @property {Function} [transform] - Document transform function. If omitted, protocol getTransform(Coll) is used.
+ * @property {boolean} [lookup] - If true, fetch joins with a single `$lookup` aggregation when possible (array joins require MongoDB 5.0 or later).
+ * @property {true|{ttl?: number}} [cache] - Serve identical fetches from the query results cache
+ *   until `ttl` (ms) expires or a write invalidates them (see configureCache).
  *
  * @typedef {Object} JoinDef
  * @property {*} Coll - Target collection of the join.
@@ -34,13 +62,25 @@ import {
  * @property {Object} [fields] - Backward-compatible alias for `deps`.
  * @property {boolean} [single] - If true, attach a single doc instead of an array.
  * @property {Function} [postFetch] - (joined, parentDoc) => any. Final shaping of joined value.
- * @property {number} [limit] - Limit for joined query when single is false.
+ * @property {number} [limit] - Maximum joined docs per parent when single is false.
+ * @property {number} [skip] - Joined docs to skip per parent.
+ * @property {Object} [sort] - Sort of the joined docs of each parent.
+ * @property {boolean|Function} [required] - Drop parent docs without joined docs,
+ *   or for which `(joined, parentDoc) => boolean` is false.
  */
 
 /**
  * Retrieve documents of a collection, with optional joined subdocuments.
  * - Fields accept nested objects; dot-notation is normalized internally.
  * - Joins are pre-registered via join(Coll, joinDefinitions). Join usage is controlled through '+' in fields.
+ * - Parent docs can be filtered by their joined docs with join `required`
+ *   definitions or `$required` join fields. `skip` and `limit` apply to the filtered docs.
+ * - `sort` accepts paths into joins (ex: { 'author.name': 1 }). Docs are then
+ *   joined before being sorted and paginated in memory.
+ * - Fields registered with `computed(Coll, defs)` are evaluated once joins are
+ *   attached, from their deps.
+ * - With the `cache` option, results are cached until they expire or a write
+ *   touches the collection or one of its requested joins.
  * - Works with both sync and async protocols.
  *
  * @template TColl
@@ -60,241 +100,727 @@ import {
  * });
  */
 export function fetchList(Coll, selector = {}, options = {}) {
-  const { count, findList, getTransform } = getProtocol();
-
+  const { aggregate, findList } = getProtocolFor(Coll);
+  const { fields, transform, lookup, cache, ...restOptions } = options;
   const joins = getJoins(Coll);
 
-  const collTransform = getTransform(Coll);
-  const { fields, transform = collTransform, ...restOptions } = options;
+  if (cache) return fetchCached(Coll, selector, options);
 
-  const enhance = (doc) => (isFunc(transform) ? transform(doc) : doc);
+  const computedSpec = withComputedDeps(Coll, fields);
+  if (computedSpec) return fetchComputed(Coll, selector, options, computedSpec);
 
-  // Partition field spec into own (base collection) and join fields ('+')
-  const { _: ownFields, "+": joinFields = {} } = dispatchFields(fields, joins);
-  const usedJoinKeys = Object.keys(joinFields);
+  if (getJoinSortKeys(restOptions.sort, joins).length) {
+    return fetchSortedByJoins(Coll, selector, options, joins);
+  }
 
-  // If no joins or fields are not objects, perform a straight fetch
-  if (!joins || !usedJoinKeys?.length || (fields && !isObj(fields))) {
-    return then(
-      findList(Coll, selector, {
-        ...restOptions,
+  const { _: ownFields, "+": joinFields } = dispatchFields(fields, joins);
+
+  // In lookup mode, fetch compilable joins with a single aggregation
+  // when the protocol can aggregate. Other joins are fetched separately.
+  const lookups =
+    lookup &&
+    hasProtocolMethod(Coll, "aggregate") &&
+    isObj(fields) &&
+    joinFields
+      ? compileLookups(Coll, joinFields)
+      : undefined;
+
+  const lookupKeys = lookups?.joinKeys || [];
+
+  /* Fetch a page of base documents, with compiled lookups if any */
+  function fetchBase(pageOptions) {
+    if (!lookupKeys.length) {
+      // Exclude transform from base fetch to reapply after joining
+      return findList(Coll, selector, {
+        ...pageOptions,
         fields: ownFields,
         transform: null,
-      }),
-      (docs) => docs.map(enhance)
+      });
+    }
+
+    const { sort, skip, limit } = pageOptions;
+
+    const pipeline = [
+      { $match: isObj(selector) ? selector : { _id: selector } },
+      sort && { $sort: sort },
+      skip && { $skip: skip },
+      limit && { $limit: limit },
+      isObj(ownFields) && { $project: ownFields },
+      ...lookups.stages,
+    ].filter(Boolean);
+
+    return then(aggregate(Coll, pipeline), (docs) =>
+      docs.map(lookups.finalize)
     );
   }
 
-  /* === END FETCH WHEN NO JOINS === */
+  const attach = (docs) => attachJoins(Coll, docs, options, lookupKeys);
+
+  const isFiltered = Object.entries(joinFields || {}).some(([key, subFields]) =>
+    getJoinRequirement(joins[key], subFields)
+  );
+
+  if (isFiltered) return fetchFilteredList(fetchBase, attach, restOptions);
+
+  return then(fetchBase(restOptions), attach);
+}
+
+/**
+ * Fetch documents through the query results cache.
+ * Untransformed docs are cached, so that the transform is applied on each call.
+ * Each call gets copies, so that callers can't alter cached docs.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style query selector.
+ * @param {FetchOptions} options - Fetch options, with the `cache` option.
+ * @returns {Array|Promise<Array>}
+ * @internal
+ */
+function fetchCached(Coll, selector, options) {
+  const { getTransform } = getProtocolFor(Coll);
+  const { cache, transform = getTransform(Coll), ...restOptions } = options;
 
-  // When joins exist, exclude transform from base fetch to reapply after joining
   return then(
-    findList(Coll, selector, {
+    withCache(Coll, selector, restOptions, cache, () =>
+      fetchList(Coll, selector, { ...restOptions, transform: null })
+    ),
+
+    (docs) =>
+      docs.map((doc) => {
+        const copy = deepCopy(doc);
+        return isFunc(transform) ? transform(copy) : copy;
+      })
+  );
+}
+
+/**
+ * Fetch documents with computed fields.
+ * Docs are fetched with the deps of the requested computed fields, which are
+ * evaluated before deps are removed and the transform is applied.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style query selector.
+ * @param {FetchOptions} options - Fetch options, whose fields request computed fields.
+ * @param {import("./computed").ComputedSpec} computedSpec - Requested computed fields.
+ * @returns {Array|Promise<Array>}
+ * @internal
+ */
+function fetchComputed(Coll, selector, options, computedSpec) {
+  const { getTransform } = getProtocolFor(Coll);
+  const { transform = getTransform(Coll), ...restOptions } = options;
+
+  return then(
+    fetchList(Coll, selector, {
       ...restOptions,
-      fields: ownFields,
+      fields: computedSpec.fields,
       transform: null,
     }),
 
-    (docs) => {
-      /* Partition joins by "on" type to process differently */
+    (docs) =>
+      then(computedSpec.finalize(docs), (computedDocs) =>
+        isFunc(transform)
+          ? computedDocs.map((doc) => transform(doc))
+          : computedDocs
+      )
+  );
+}
 
-      const {
-        array: arrJoins = [],
-        object: objJoins = [],
-        function: fnJoins = [],
-      } = partitionJoinsByType(usedJoinKeys, joins);
+/**
+ * Fetch documents sorted by joined fields.
+ * Docs matching the selector are all fetched and joined (including the sorted
+ * joins, even if not requested), then sorted and paginated in memory.
+ * Fields only fetched for sorting are removed from the returned docs.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style query selector.
+ * @param {FetchOptions} options - Fetch options, whose sort targets joins.
+ * @param {Record<string, JoinDef>} joins - Join definitions of the collection.
+ * @returns {Array|Promise<Array>}
+ * @throws {Error} If a sorted join is excluded from fields.
+ * @internal
+ */
+function fetchSortedByJoins(Coll, selector, options, joins) {
+  const { getTransform } = getProtocolFor(Coll);
 
-      // Process array-type joins: [fromProp, toProp, toSelector?]
-      return then(
-        arrJoins.reduce((_docs, join) => {
-          const {
-            _key,
-            Coll: joinColl,
-            on,
-            single,
-            postFetch,
-            limit: joinLimit,
-            ...joinRest
-          } = join;
-
-          return then(_docs, (readyDocs) => {
-            const [fromProp, toProp, toSelector = {}] = on;
-            const fromArray = isArr(fromProp);
-            const propList = fromArray
-              ? readyDocs.flatMap((doc) => doc[fromProp[0]])
-              : readyDocs.map((doc) => doc[fromProp]);
-
-            const toArray = isArr(toProp);
-            const subSelector = toArray
-              ? {
-                  ...toSelector,
-                  [toProp[0]]: { $elemMatch: { $in: propList } },
-                }
-              : { ...toSelector, [toProp]: { $in: propList } };
-
-            // Support recursive joins by checking for additional depth and data existence
-            const isRecursive = joinColl === Coll && joinFields[_key] > 1;
+  const {
+    fields,
+    sort,
+    skip = 0,
+    limit,
+    transform = getTransform(Coll),
+    ...restOptions
+  } = options;
 
-            return then(
-              isRecursive && count(Coll, subSelector),
+  const { fields: sortFields, addedKeys } = withSortFields(fields, sort, joins);
 
-              (recursiveCount) => {
-                const stopRecursion = isRecursive && !recursiveCount;
+  return then(
+    fetchList(Coll, selector, {
+      ...restOptions,
+      fields: sortFields,
+      transform: null,
+    }),
 
-                const subJoinFields = isRecursive
-                  ? decrementRecursiveField(_key, fields)
-                  : joinFields[_key];
+    (docs) =>
+      sortDocs(sort, docs)
+        .slice(skip, limit ? skip + limit : undefined)
+        .map((doc) => {
+          const requestedDoc = omitKeys(doc, addedKeys);
 
-                // Determine whether we need to include toProp explicitly in subFields
-                const { _: own } = dispatchFields(
-                  subJoinFields,
-                  getJoins(joinColl) || {}
-                );
+          return isFunc(transform) ? transform(requestedDoc) : requestedDoc;
+        })
+  );
+}
 
-                const allOwnIncluded = !own || Object.keys(own).length <= 0;
-                const shouldAddToProp =
-                  isObj(subJoinFields) && !allOwnIncluded && toProp !== "_id";
-
-                const subFields = shouldAddToProp
-                  ? { ...subJoinFields, [toProp]: 1 }
-                  : subJoinFields;
-
-                /** @type {FetchOptions} */
-                const subOptions = {
-                  ...options,
-                  ...joinRest,
-                  fields: normalizeFields(subFields),
-                  limit: undefined,
-                  transform: isRecursive ? transform : undefined,
-                };
-
-                // Fetch all joined docs for this join and attach to each base doc
-                return then(
-                  stopRecursion
-                    ? []
-                    : fetchList(joinColl, subSelector, subOptions),
-
-                  (allJoinedDocs) => {
-                    // Build index by toProp for faster lookups when toProp is scalar
-                    const indexedByToProp = toArray
-                      ? {}
-                      : allJoinedDocs.reduce((acc, joinedDoc) => {
-                          const toPropValue = getPropValue(toProp, joinedDoc);
-                          if (isArr(toPropValue)) {
-                            return toPropValue.reduce((acc2, v) => {
-                              const prev = acc2[v] || [];
-                              return { ...acc2, [v]: [...prev, joinedDoc] };
-                            }, acc);
-                          }
-                          const prev = acc[toPropValue] || [];
-                          return {
-                            ...acc,
-                            [toPropValue]: [...prev, joinedDoc],
-                          };
-                        }, {});
-
-                    return readyDocs.map((doc) => {
-                      // eslint-disable-next-line no-useless-assignment
-                      let joinedDocs = [];
-
-                      if (toArray) {
-                        // toProp is an array on joined docs
-                        joinedDocs = allJoinedDocs.filter((joinedDoc) => {
-                          const toList = joinedDoc[toProp[0]] || [];
-                          if (!fromArray) return toList.includes(doc[fromProp]);
-
-                          const fromList = doc[fromProp[0]] || [];
-                          return includesSome(toList, fromList);
-                        });
-                      } else if (fromArray) {
-                        // fromProp is array on parent docs
-                        const fromValues = doc[fromProp[0]] || [];
-                        joinedDocs = uniqueBy(
-                          "_id",
-                          fromValues.flatMap(
-                            (fromValue) => indexedByToProp[fromValue] || []
-                          )
-                        );
-                      } else {
-                        // Both scalar
-                        const fromValue = doc[fromProp];
-                        joinedDocs = indexedByToProp[fromValue] || [];
-                      }
-
-                      const raw = single ? joinedDocs[0] : joinedDocs;
-                      const afterPostFetch = isFunc(postFetch)
-                        ? postFetch(raw, doc)
-                        : raw;
-                      return { ...doc, [_key]: afterPostFetch };
-                    });
-                  }
-                );
-              }
-            );
-          });
-        }, docs),
+/* Remove root keys that were only fetched internally from a doc. */
+function omitKeys(doc, keys) {
+  if (!keys.length) return doc;
+  return Object.fromEntries(
+    Object.entries(doc).filter(([key]) => !keys.includes(key))
+  );
+}
 
-        (docsWithArrJoins) => {
-          // Prepare object-type joins (static selector): fetched once, applied per doc
-          return then(
-            objJoins.map((join) => {
-              const { _key, on } = join;
-              const subSelector = on;
-              return createJoinFetcher({
-                Coll,
-                join,
-                fields: joinFields[_key],
-                subSelector,
-                options: restOptions,
-                parentFields: fields,
-              });
-            }),
-
-            (objJoinsEnhancers) => {
-              // For each doc, apply object-join enhancers, then function-type joins per doc
-              return then(
-                docsWithArrJoins.map((doc) => {
-                  const docWithObjJoins = objJoinsEnhancers.reduce(
-                    (_doc, fn) => fn(_doc),
-                    doc
-                  );
+/* Keys of a sort specifier whose first segment is a join key. */
+function getJoinSortKeys(sort, joins = {}) {
+  return normalizeSort(sort)
+    .map(([key]) => key)
+    .filter((key) => hasOwn(joins, key.split(".")[0]));
+}
 
-                  return then(
-                    fnJoins.reduce((_doc, join) => {
-                      const { _key, on } = join;
-
-                      return then(
-                        [
-                          _doc,
-                          createJoinFetcher({
-                            Coll,
-                            join,
-                            fields: joinFields[_key],
-                            subSelector: isFunc(on) ? on(doc) : on,
-                            options: restOptions,
-                            parentFields: fields,
-                          }),
-                        ],
-
-                        ([_doc, joinFetcher]) => joinFetcher(_doc)
-                      );
-                    }, docWithObjJoins),
-
-                    // Re-apply transform after all joins
-                    (docWithFnJoins) => enhance(docWithFnJoins)
-                  );
-                }),
+/**
+ * Add the fields required to sort docs to a fields specification.
+ * Returns the augmented fields and the root keys that were not requested.
+ *
+ * @param {Object|undefined} fields - Requested fields.
+ * @param {Object|Array} sort - Sort specifier.
+ * @param {Record<string, JoinDef>} joins - Join definitions.
+ * @returns {{fields: Object, addedKeys: string[]}}
+ * @throws {Error} If a sorted join is excluded from fields.
+ * @internal
+ */
+function withSortFields(fields, sort, joins) {
+  const joinPrefix = getJoinPrefix();
+  const requested = isObj(fields) ? fields : {};
+  const requestedJoins = (joinPrefix ? requested[joinPrefix] : requested) || {};
+
+  const { _: ownFields } = dispatchFields(fields, joins);
+  const isOwnInclusion =
+    isObj(ownFields) && Object.values(ownFields).some(Boolean);
+
+  // Own fields are all fetched if not restricted by an inclusion projection
+  const requestedRoots = isOwnInclusion
+    ? Object.keys(ownFields).map((key) => key.split(".")[0])
+    : undefined;
+
+  const sortKeys = normalizeSort(sort).map(([key]) => key);
+
+  const sortSpec = sortKeys.reduce(
+    (acc, key) => {
+      const [root, ...subKeys] = key.split(".");
+      const subPath = subKeys.join(".");
+
+      if (!hasOwn(joins, root)) {
+        if (!requestedRoots || requestedRoots.includes(root)) return acc;
 
-                (res) => res
-              );
+        return {
+          fields: { ...acc.fields, [key]: 1 },
+          addedKeys: [...acc.addedKeys, root],
+        };
+      }
+
+      const joinFields = hasOwn(requestedJoins, root)
+        ? requestedJoins[root]
+        : undefined;
+
+      if (joinFields !== undefined && !joinFields) {
+        throw new Error(
+          `Can't sort by '${key}', as join '${root}' is excluded from fields.`
+        );
+      }
+
+      const prevJoinFields = joinPrefix
+        ? acc.fields[joinPrefix]?.[root]
+        : acc.fields[root];
+
+      const sortJoinFields = withSortSubField(
+        prevJoinFields === undefined ? joinFields : prevJoinFields,
+        subPath,
+        joins[root]
+      );
+
+      return {
+        fields: joinPrefix
+          ? {
+              ...acc.fields,
+              [joinPrefix]: {
+                ...acc.fields[joinPrefix],
+                [root]: sortJoinFields,
+              },
             }
-          );
-        }
+          : { ...acc.fields, [root]: sortJoinFields },
+        addedKeys:
+          joinFields === undefined && !acc.addedKeys.includes(root)
+            ? [...acc.addedKeys, root]
+            : acc.addedKeys,
+      };
+    },
+    { fields: requested, addedKeys: [] }
+  );
+
+  if (!requestedRoots) return sortSpec;
+
+  // Parent keys of joins only fetched for sorting are not requested either
+  const { _: sortOwnFields } = dispatchFields(sortSpec.fields, joins);
+  const depsRoots = Object.keys(sortOwnFields)
+    .map((key) => key.split("."))
+    .map(([root]) => root)
+    .filter((root) => !requestedRoots.includes(root));
+
+  return {
+    fields: sortSpec.fields,
+    addedKeys: Array.from(new Set([...sortSpec.addedKeys, ...depsRoots])),
+  };
+}
+
+/* Ensure the sorted sub path is fetched on joined docs. */
+function withSortSubField(joinFields, subPath, join) {
+  if (joinFields === undefined) return subPath ? { [subPath]: 1 } : 1;
+  if (!subPath || !isObj(joinFields)) return joinFields;
+
+  const { _: own } = dispatchFields(joinFields, getJoins(join.Coll));
+  const isInclusion = isObj(own) && Object.values(own).some(Boolean);
+
+  return isInclusion ? { ...joinFields, [subPath]: 1 } : joinFields;
+}
+
+/**
+ * Fetch documents filtered by their joins.
+ * As parents are filtered once joined, `skip` and `limit` can't be applied by
+ * the base query. Base docs are fetched by pages until enough of them remain.
+ *
+ * @param {(options: FetchOptions) => Array|Promise<Array>} fetchBase - Fetch a page of base docs.
+ * @param {(docs: Object[]) => Array|Promise<Array>} attach - Join and filter base docs.
+ * @param {FetchOptions} options - Base fetch options.
+ * @returns {Array|Promise<Array>}
+ * @internal
+ */
+function fetchFilteredList(fetchBase, attach, { skip = 0, limit, ...options }) {
+  if (!limit) {
+    return then(then(fetchBase(options), attach), (docs) => docs.slice(skip));
+  }
+
+  const wantedCount = skip + limit;
+  const pageSize = Math.max(wantedCount * 2, FILTERED_PAGE_SIZE);
+
+  function fetchFrom(offset, prevDocs) {
+    return then(
+      fetchBase({ ...options, skip: offset, limit: pageSize }),
+
+      (baseDocs) =>
+        then(attach(baseDocs), (pageDocs) => {
+          const docs = [...prevDocs, ...pageDocs];
+          const isLastPage = baseDocs.length < pageSize;
+
+          if (isLastPage || docs.length >= wantedCount) {
+            return docs.slice(skip, wantedCount);
+          }
+
+          return fetchFrom(offset + pageSize, docs);
+        })
+    );
+  }
+
+  return fetchFrom(0, []);
+}
+
+/**
+ * Stream documents of a collection as an async iterator, with optional joins.
+ * Base documents are fetched in batches of `batchSize` and joins are resolved
+ * for one batch at a time, so memory stays bounded on large result sets.
+ * Accepts the same `fields` and join syntax as `fetchList`.
+ *
+ * Without `sort`, batches are paged on `_id` (keyset pagination). With a
+ * `sort`, they are paged with `skip`, so the sort should be stable (ex: end with `_id`).
+ * As with `fetchList`, `skip` and `limit` apply to the docs left by required joins.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} [selector={}] - MongoDB-style query selector.
+ * @param {FetchOptions & {batchSize?: number}} [options={}] - Fetch options and
+ *   number of base documents fetched and joined at a time (default 500).
+ * @returns {AsyncGenerator<Object>} Async iterator of documents.
+ * @throws {TypeError} If batchSize is not a positive integer.
+ *
+ * @example
+ * for await (const post of fetchStream(Posts, {}, {
+ *   fields: { title: 1, '+': { author: 1 } },
+ *   batchSize: 200,
+ * })) {
+ *   await exportRow(post);
+ * }
+ */
+export async function* fetchStream(Coll, selector = {}, options = {}) {
+  const {
+    batchSize = STREAM_BATCH_SIZE,
+    skip = 0,
+    limit,
+    ...restOptions
+  } = options;
+
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new TypeError("'batchSize' must be a positive integer.");
+  }
+
+  const { findList, getTransform } = getProtocolFor(Coll);
+  const { sort, transform = getTransform(Coll), ...findOptions } = restOptions;
+  const joins = getJoins(Coll);
+
+  // Computed fields are evaluated on each joined batch, before the transform
+  const computedSpec = withComputedDeps(Coll, restOptions.fields);
+  const fields = computedSpec ? computedSpec.fields : restOptions.fields;
+
+  if (getJoinSortKeys(sort, joins).length) {
+    throw new Error(
+      "'fetchStream' can't sort by joined fields. Use 'fetchList' instead."
+    );
+  }
+  const { _: ownFields, "+": joinFields } = dispatchFields(fields, joins);
+
+  // Required joins filter base docs out, so skip and limit apply to joined docs
+  const isFiltered = Object.entries(joinFields || {}).some(([key, subFields]) =>
+    getJoinRequirement(joins[key], subFields)
+  );
+
+  // Keyset pagination requires sorting on _id and fetching it
+  const byId = !(
+    sort ||
+    (isObj(ownFields) && "_id" in ownFields && !ownFields._id)
+  );
+
+  async function joinBatch(docs) {
+    if (!computedSpec) return attachJoins(Coll, docs, restOptions);
+
+    const joinedDocs = await attachJoins(Coll, docs, {
+      ...restOptions,
+      fields,
+      transform: null,
+    });
+    const computedDocs = await computedSpec.finalize(joinedDocs);
+
+    return isFunc(transform)
+      ? computedDocs.map((doc) => transform(doc))
+      : computedDocs;
+  }
+
+  let fetchedCount = 0;
+  let yieldedCount = 0;
+  const baseSkip = isFiltered ? 0 : skip;
+  let toSkip = skip - baseSkip;
+  let lastId;
+
+  while (!limit || yieldedCount < limit) {
+    const batchLimit =
+      limit && !isFiltered
+        ? Math.min(batchSize, limit - yieldedCount)
+        : batchSize;
+
+    // After the first batch, keyset pages start from the last _id
+    const afterLast = byId && fetchedCount > 0;
+
+    const docs = await findList(
+      Coll,
+      afterLast ? { $and: [selector, { _id: { $gt: lastId } }] } : selector,
+      {
+        ...findOptions,
+        fields: ownFields,
+        sort: byId ? { _id: 1 } : sort,
+        skip: afterLast ? 0 : baseSkip + fetchedCount,
+        limit: batchLimit,
+        transform: null,
+      }
+    );
+
+    if (!docs.length) return;
+
+    fetchedCount += docs.length;
+    lastId = docs[docs.length - 1]._id;
+
+    const joinedDocs = await joinBatch(docs);
+    const batchDocs = joinedDocs.slice(
+      toSkip,
+      limit ? toSkip + limit - yieldedCount : undefined
+    );
+
+    toSkip = Math.max(toSkip - joinedDocs.length, 0);
+    yieldedCount += batchDocs.length;
+    yield* batchDocs;
+
+    if (docs.length < batchLimit) return;
+  }
+}
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {boolean} hasNextPage - Whether documents follow the page.
+ * @property {boolean} hasPreviousPage - Whether documents precede the page.
+ * @property {string|null} startCursor - Cursor of the first document of the page.
+ * @property {string|null} endCursor - Cursor of the last document of the page.
+ */
+
+/**
+ * Fetch a page of documents with cursor-based (keyset) pagination.
+ *
+ * Cursors are opaque strings encoding the sort values of a document, `_id`
+ * included (it's appended to the sort to make it stable). Rather than skipping
+ * documents, pages are selected by comparing sort values to the cursor's,
+ * so they stay fast and consistent while documents are inserted or removed.
+ * Values are encoded with the protocol's `stringify` and decoded with its
+ * `parse`, which must restore their types (ex: ObjectIds).
+ *
+ * - `first` returns the first documents after `after` (if any),
+ *   `last` the last documents before `before` (if any).
+ * - Sorted fields should hold scalar values. Null and missing values sort
+ *   first, like in MongoDB.
+ * - Accepts the same `fields` and join syntax as `fetchList`, but can't sort by joined fields.
+ * - With `totalCount: true`, the number of documents matching the selector
+ *   (regardless of cursors) is returned as well.
+ *
+ * `hasPreviousPage` (with `first`) and `hasNextPage` (with `last`) are only
+ * checked when paginating from a cursor, as documents can't precede/follow
+ * the page otherwise.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} [selector={}] - MongoDB-style query selector.
+ * @param {FetchOptions & {
+ *   first?: number,
+ *   last?: number,
+ *   after?: string,
+ *   before?: string,
+ *   totalCount?: boolean
+ * }} [options={}] - Fetch options and page controls (`skip` and `limit` aside).
+ * @returns {{docs: Object[], pageInfo: PageInfo, totalCount?: number}|Promise<{docs: Object[], pageInfo: PageInfo, totalCount?: number}>}
+ * @throws {TypeError} If page controls are invalid.
+ * @throws {Error} If a cursor is invalid, or if sorting by joined fields.
+ *
+ * @example
+ * const { docs, pageInfo } = await fetchPage(Posts, {}, {
+ *   sort: { createdAt: -1 },
+ *   first: 20,
+ *   fields: { title: 1, '+': { author: 1 } },
+ * });
+ *
+ * // Next page
+ * const next = await fetchPage(Posts, {}, {
+ *   sort: { createdAt: -1 },
+ *   first: 20,
+ *   after: pageInfo.endCursor,
+ * });
+ */
+export function fetchPage(Coll, selector = {}, options = {}) {
+  const { getTransform } = getProtocolFor(Coll);
+
+  const {
+    sort,
+    first,
+    last,
+    after,
+    before,
+    totalCount,
+    transform = getTransform(Coll),
+    ...restOptions
+  } = options;
+
+  if ("skip" in restOptions || "limit" in restOptions) {
+    throw new TypeError(
+      "'fetchPage' doesn't accept 'skip' nor 'limit'. Use 'first' or 'last' instead."
+    );
+  }
+
+  if ((first === undefined) === (last === undefined)) {
+    throw new TypeError("'fetchPage' requires either 'first' or 'last'.");
+  }
+
+  const pageSize = first === undefined ? last : first;
+  if (!Number.isInteger(pageSize) || pageSize <= 0) {
+    throw new TypeError(
+      `'${first === undefined ? "last" : "first"}' must be a positive integer.`
+    );
+  }
+
+  const joins = getJoins(Coll);
+
+  if (getJoinSortKeys(sort, joins).length) {
+    throw new Error(
+      "'fetchPage' can't sort by joined fields. Use 'fetchList' instead."
+    );
+  }
+
+  const { _: ownFields } = dispatchFields(restOptions.fields, joins);
+  if (isObj(ownFields) && "_id" in ownFields && !ownFields._id) {
+    throw new Error("'fetchPage' can't exclude '_id' from fields.");
+  }
+
+  const protocol = getProtocolFor(Coll);
+
+  // `_id` makes the sort total, hence cursors unique
+  const normalizedSort = normalizeSort(sort);
+  const sortEntries = normalizedSort.some(([key]) => key === "_id")
+    ? normalizedSort
+    : [...normalizedSort, ["_id", 1]];
+
+  const afterSelector =
+    after === undefined
+      ? undefined
+      : keysetSelector(
+          sortEntries,
+          decodeCursor(protocol, after, sortEntries),
+          1
+        );
+
+  const beforeSelector =
+    before === undefined
+      ? undefined
+      : keysetSelector(
+          sortEntries,
+          decodeCursor(protocol, before, sortEntries),
+          -1
+        );
+
+  const and = (...selectors) => {
+    const defined = selectors.filter(Boolean);
+    return defined.length > 1 ? { $and: defined } : defined[0];
+  };
+
+  // Backward pages are fetched in reverse order, then restored
+  const isBackward = first === undefined;
+  const fetchSort = sortEntries.map(([key, dir]) => [
+    key,
+    isBackward ? -dir : dir,
+  ]);
+
+  // Sort values are required to build cursors.
+  // Like in projections, `_id` is returned unless excluded.
+  const { fields, addedKeys: sortKeys } = withSortFields(
+    restOptions.fields,
+    sortEntries,
+    joins
+  );
+  const addedKeys = sortKeys.filter((key) => key !== "_id");
+
+  const pageDocs = fetchList(
+    Coll,
+    and(selector, afterSelector, beforeSelector),
+    {
+      ...restOptions,
+      fields,
+      sort: Object.fromEntries(fetchSort),
+      // An extra doc tells whether there are more
+      limit: pageSize + 1,
+      transform: null,
+    }
+  );
+
+  // Docs on the other side of the starting cursor, if any
+  const [fromSelector, fromCursor] = isBackward
+    ? [beforeSelector, before]
+    : [afterSelector, after];
+
+  const hasDocsBeyondCursor =
+    fromCursor === undefined
+      ? false
+      : exists(Coll, and(selector, { $nor: [fromSelector] }));
+
+  const count = totalCount ? countDocs(Coll, selector) : undefined;
+
+  return then(
+    [pageDocs, hasDocsBeyondCursor, count],
+    ([docs, beyond, total]) => {
+      const hasMore = docs.length > pageSize;
+      const kept = docs.slice(0, pageSize);
+      const ordered = isBackward ? kept.reverse() : kept;
+
+      const cursors = ordered.map((doc) =>
+        encodeCursor(
+          protocol,
+          sortEntries.map(([key]) => getPropValue(key, doc))
+        )
       );
+
+      const pageInfo = {
+        hasNextPage: isBackward ? beyond : hasMore,
+        hasPreviousPage: isBackward ? hasMore : beyond,
+        startCursor: cursors.length ? cursors[0] : null,
+        endCursor: cursors.length ? cursors[cursors.length - 1] : null,
+      };
+
+      const result = ordered.map((doc) => {
+        const requestedDoc = omitKeys(doc, addedKeys);
+
+        return isFunc(transform) ? transform(requestedDoc) : requestedDoc;
+      });
+
+      return {
+        docs: result,
+        pageInfo,
+        ...(totalCount && { totalCount: total }),
+      };
     }
   );
 }
 
+/* Select the docs sorted after (direction 1) or before (direction -1)
+ * the sort values of a cursor. */
+function keysetSelector(sortEntries, values, direction) {
+  return {
+    $or: sortEntries
+      .map(([key, dir], i) => {
+        const beyond = keysetBeyond(key, values[i], dir === direction);
+        if (!beyond) return undefined;
+
+        // `{ key: null }` matches null and missing values alike
+        const prevEquals = sortEntries
+          .slice(0, i)
+          .map(([prevKey], j) => ({ [prevKey]: values[j] }));
+
+        return prevEquals.length ? { $and: [...prevEquals, beyond] } : beyond;
+      })
+      .filter(Boolean),
+  };
+}
+
+/* Select the docs whose value at key sorts after (isGreater) or before
+ * a cursor value. As in MongoDB, null and missing values sort first
+ * (a cursor can't hold undefined, it's encoded as null). */
+function keysetBeyond(key, value, isGreater) {
+  if (value === null) {
+    return isGreater ? { [key]: { $ne: null } } : undefined;
+  }
+
+  return isGreater
+    ? { [key]: { $gt: value } }
+    : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/* Encode sort values as an opaque string, with the protocol `stringify`
+ * so that their types (ex: ObjectIds) are restored by its `parse`. */
+function encodeCursor(protocol, values) {
+  const bytes = new TextEncoder().encode(protocol.stringify(values));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/* Decode the sort values of a cursor, checking they match the sort. */
+function decodeCursor(protocol, cursor, sortEntries) {
+  try {
+    const bytes = Uint8Array.from(atob(cursor), (char) => char.charCodeAt(0));
+    const values = protocol.parse(new TextDecoder().decode(bytes));
+    if (isArr(values) && values.length === sortEntries.length) return values;
+  } catch {
+    // Reported below
+  }
+
+  throw new Error(`Invalid cursor '${cursor}' for the requested sort.`);
+}
+
 /**
  * Fetch a single document matching the selector.
  *
@@ -327,6 +853,131 @@ export function fetchIds(Coll, selector, options) {
   );
 }
 
+/**
+ * Fetch documents as a Map keyed by the value of a field.
+ * - `key` defaults to `_id` and accepts dot paths, including into requested joins.
+ * - A doc whose key holds an array is indexed under each of its values.
+ * - Docs without a value at `key` are left out. If several docs share a key,
+ *   the last one (in `sort` order) is kept.
+ * - The key field is fetched even if not requested, but only returned if requested.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} [selector={}] - MongoDB-style query selector.
+ * @param {FetchOptions & {key?: string}} [options={}] - Fetch options and key path.
+ * @returns {Map<*, Object>|Promise<Map<*, Object>>} Documents by key value.
+ * @throws {TypeError} If key is not a non-empty string.
+ *
+ * @example
+ * const usersById = await fetchMap(Users, { status: 'active' });
+ * const usersByEmail = await fetchMap(Users, {}, { key: 'emails.address' });
+ */
+export function fetchMap(Coll, selector = {}, options = {}) {
+  const { key = "_id", ...restOptions } = options;
+
+  return then(
+    fetchKeyed(Coll, selector, "key", key, restOptions),
+
+    (keyedDocs) =>
+      new Map(
+        keyedDocs.flatMap(([values, doc]) =>
+          values.map((value) => [value, doc])
+        )
+      )
+  );
+}
+
+/**
+ * Fetch documents grouped by the value of a field, as a Map of arrays.
+ * - `by` accepts dot paths, including into requested joins.
+ * - A doc whose field holds an array appears in the group of each of its values.
+ * - Docs without a value at `by` are left out. Groups keep the `sort` order.
+ * - The grouping field is fetched even if not requested, but only returned if requested.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} [selector={}] - MongoDB-style query selector.
+ * @param {FetchOptions & {by: string}} options - Fetch options and grouping path.
+ * @returns {Map<*, Object[]>|Promise<Map<*, Object[]>>} Documents by group value.
+ * @throws {TypeError} If by is not a non-empty string.
+ *
+ * @example
+ * const postsByAuthor = await fetchGroupBy(Posts, {}, { by: 'authorId' });
+ * const postsByTag = await fetchGroupBy(Posts, {}, { by: 'tags' });
+ */
+export function fetchGroupBy(Coll, selector = {}, options = {}) {
+  const { by, ...restOptions } = options;
+
+  return then(fetchKeyed(Coll, selector, "by", by, restOptions), (keyedDocs) =>
+    keyedDocs.reduce((groups, [values, doc]) => {
+      values.forEach((value) => {
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(doc);
+      });
+      return groups;
+    }, new Map())
+  );
+}
+
+/**
+ * Fetch documents along with the distinct values of a field path.
+ * Values equal by EJSON (ex: ObjectIds) are keyed by their first instance,
+ * so that docs holding them share the same Map key.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style query selector.
+ * @param {string} optionName - Name of the path option, for errors.
+ * @param {string} path - Dot path of the keying field.
+ * @param {FetchOptions} options - Fetch options.
+ * @returns {Array<[Array<*>, Object]>|Promise<Array<[Array<*>, Object]>>}
+ *   Pairs of key values and transformed doc.
+ * @throws {TypeError} If path is not a non-empty string.
+ * @internal
+ */
+function fetchKeyed(Coll, selector, optionName, path, options) {
+  if (typeof path !== "string" || !path) {
+    throw new TypeError(`'${optionName}' must be a non-empty field path.`);
+  }
+
+  const { getTransform } = getProtocolFor(Coll);
+  const { transform = getTransform(Coll), ...restOptions } = options;
+
+  // Like sort keys, key paths may target own fields or joins
+  const { fields, addedKeys: keyRoots } = withSortFields(
+    restOptions.fields,
+    [[path, 1]],
+    getJoins(Coll)
+  );
+  const addedKeys = keyRoots.filter((key) => key !== "_id");
+
+  const instances = new Map();
+
+  return then(
+    fetchList(Coll, selector, { ...restOptions, fields, transform: null }),
+
+    (docs) =>
+      docs.map((doc) => {
+        const value = getPropValue(path, doc);
+
+        const values = uniqueBy(
+          idKey,
+          (isArr(value) ? value : [value]).filter((x) => !isNil(x))
+        ).map((x) => {
+          const key = idKey(x);
+          if (!instances.has(key)) instances.set(key, x);
+          return instances.get(key);
+        });
+
+        const requestedDoc = omitKeys(doc, addedKeys);
+
+        return [
+          values,
+          isFunc(transform) ? transform(requestedDoc) : requestedDoc,
+        ];
+      })
+  );
+}
+
 /**
  * Check existence of at least one document matching selector.
  *
@@ -390,7 +1041,7 @@ function createJoinFetcher({
   options,
   parentFields,
 }) {
-  const { count } = getProtocol();
+  const { count } = getProtocolFor(Coll);
 
   const isRecursive = joinColl === Coll;
 
@@ -431,12 +1082,668 @@ function createJoinFetcher({
   );
 }
 
+/**
+ * Attach joined subdocuments to documents fetched from a collection,
+ * then apply the transform. Joins are selected through '+' in `options.fields`.
+ *
+ * @param {*} Coll - The collection the documents were fetched from.
+ * @param {Object[]} docs - Documents fetched with own fields only and no transform.
+ * @param {FetchOptions} [options={}] - Options used to fetch the documents.
+ * @param {string[]} [excludedJoinKeys=[]] - Keys of joins already attached.
+ * @param {Record<string, JoinDef>} [joins] - Join definitions, those of `Coll` by default.
+ * @returns {Array|Promise<Array>} Documents augmented with join keys.
+ * @internal
+ */
+function attachJoins(
+  Coll,
+  docs,
+  options = {},
+  excludedJoinKeys = [],
+  joins = getJoins(Coll)
+) {
+  const { count, getTransform } = getProtocolFor(Coll);
+
+  const collTransform = getTransform(Coll);
+
+  // Base pagination and sort don't apply to joined docs
+  const {
+    fields,
+    transform = collTransform,
+    sort,
+    skip,
+    limit,
+    ...restOptions
+  } = options;
+
+  const enhance = (doc) => (isFunc(transform) ? transform(doc) : doc);
+
+  // Partition field spec into own (base collection) and join fields ('+')
+  const { "+": joinFields = {} } = dispatchFields(fields, joins);
+  const usedJoinKeys = Object.keys(joinFields).filter(
+    (key) => !excludedJoinKeys.includes(key)
+  );
+
+  // If no joins or fields are not objects, only apply transform
+  if (!joins || !usedJoinKeys?.length || (fields && !isObj(fields))) {
+    return docs.map(enhance);
+  }
+
+  /* === END WHEN NO JOINS === */
+
+  const requirements = usedJoinKeys
+    .map((key) => [key, getJoinRequirement(joins[key], joinFields[key])])
+    .filter(([, requirement]) => requirement);
+
+  /* Partition joins by "on" type to process differently */
+
+  const {
+    array: arrJoins = [],
+    object: objJoins = [],
+    function: fnJoins = [],
+    aggregate: aggJoins = [],
+    through: throughJoins = [],
+    polymorphic: polymorphicJoins = [],
+  } = partitionJoinsByType(usedJoinKeys, joins);
+
+  // Process aggregated joins: values computed by grouped queries
+  const docsWithAggJoins = then(
+    aggJoins.map((join) => createAggregateJoinFetcher({ join, docs })),
+
+    (aggJoinsEnhancers) =>
+      docs.map((doc, index) =>
+        aggJoinsEnhancers.reduce((_doc, fn) => fn(_doc, index), doc)
+      )
+  );
+
+  // Process array-type joins: [fromProp, toProp, toSelector?]
+  return then(
+    arrJoins.reduce((_docs, join) => {
+      const {
+        _key,
+        Coll: joinColl,
+        on,
+        single,
+        postFetch,
+        limit: joinLimit,
+        skip: joinSkip,
+        ...joinRest
+      } = join;
+
+      return then(_docs, (readyDocs) => {
+        const [fromProp, toProp, toSelector = {}] = on;
+        const fromArray = isArr(fromProp);
+        const fromName = propName(fromProp);
+
+        // Props can be dot paths, possibly through arrays of subdocuments
+        const fromValuesByDoc = readyDocs.map((doc) => {
+          const fromValue = getPropValue(fromName, doc);
+          if (fromArray) return fromValue || [];
+          return isArr(fromValue) ? fromValue : [fromValue];
+        });
+        const propList = fromValuesByDoc.flat();
+
+        const toArray = isArr(toProp);
+        const toName = propName(toProp);
+        const subSelector =
+          toArray && !toName.includes(".")
+            ? {
+                ...toSelector,
+                [toName]: { $elemMatch: { $in: propList } },
+              }
+            : { ...toSelector, [toName]: { $in: propList } };
+
+        // Support recursive joins by checking for additional depth and data existence
+        const isRecursive = joinColl === Coll && joinFields[_key] > 1;
+
+        return then(
+          isRecursive && count(Coll, subSelector),
+
+          (recursiveCount) => {
+            const stopRecursion = isRecursive && !recursiveCount;
+
+            const subJoinFields = isRecursive
+              ? decrementRecursiveField(_key, fields)
+              : joinFields[_key];
+
+            // Determine whether we need to include toProp explicitly in subFields
+            const { _: own } = dispatchFields(
+              subJoinFields,
+              getJoins(joinColl) || {}
+            );
+
+            const allOwnIncluded = !own || Object.keys(own).length <= 0;
+            const shouldAddToProp =
+              isObj(subJoinFields) && !allOwnIncluded && toName !== "_id";
+
+            const subFields = shouldAddToProp
+              ? { ...subJoinFields, [toName]: 1 }
+              : subJoinFields;
+
+            /** @type {FetchOptions} */
+            const subOptions = {
+              ...restOptions,
+              ...joinRest,
+              fields: normalizeFields(subFields),
+              limit: undefined,
+              transform: isRecursive ? transform : undefined,
+            };
+
+            // Fetch all joined docs for this join and attach to each base doc.
+            // Limit and skip are applied to each parent once dispatched.
+            return then(
+              stopRecursion ? [] : fetchList(joinColl, subSelector, subOptions),
+
+              (allJoinedDocs) => {
+                // Index joined docs by each of their toProp values
+                const indexedByToProp = allJoinedDocs.reduce(
+                  (acc, joinedDoc) => {
+                    const toValue = getPropValue(toName, joinedDoc);
+                    const toValues = isArr(toValue) ? toValue : [toValue];
+
+                    // Mutate the index, as joined docs can be numerous
+                    toValues.forEach((v) => {
+                      const key = idKey(v);
+                      if (!acc.has(key)) acc.set(key, []);
+                      acc.get(key).push(joinedDoc);
+                    });
+                    return acc;
+                  },
+                  new Map()
+                );
+
+                // Fetch order of joined docs, to keep the join sort (or the
+                // fetch order with array toProp) when merging joined docs of
+                // several fromProp values
+                const ranks =
+                  joinRest.sort || toArray
+                    ? new Map(
+                        allJoinedDocs.map((joinedDoc, i) => [joinedDoc, i])
+                      )
+                    : undefined;
+
+                return readyDocs.map((doc, index) => {
+                  const fromValues = fromValuesByDoc[index];
+
+                  const matchedDocs = fromValues.flatMap(
+                    (fromValue) => indexedByToProp.get(idKey(fromValue)) || []
+                  );
+
+                  // A joined doc can match several values
+                  const uniqueDocs = Array.from(new Set(matchedDocs));
+
+                  const joinedDocs =
+                    ranks && fromValues.length > 1
+                      ? uniqueDocs.sort((a, b) => ranks.get(a) - ranks.get(b))
+                      : uniqueDocs;
+
+                  const pageDocs = paginate(joinedDocs, joinSkip, joinLimit);
+                  const raw = single ? pageDocs[0] : pageDocs;
+                  const afterPostFetch = isFunc(postFetch)
+                    ? postFetch(raw, doc)
+                    : raw;
+                  return { ...doc, [_key]: afterPostFetch };
+                });
+              }
+            );
+          }
+        );
+      });
+    }, docsWithAggJoins),
+
+    (docsWithArrJoins) => {
+      // Prepare object-type joins (static selector): fetched once, applied per doc
+      return then(
+        objJoins.map((join) => {
+          const { _key, on } = join;
+          const subSelector = on;
+          return createJoinFetcher({
+            Coll,
+            join,
+            fields: joinFields[_key],
+            subSelector,
+            options: restOptions,
+            parentFields: fields,
+          });
+        }),
+
+        (objJoinsEnhancers) => {
+          const batchArgs = (join) => ({
+            Coll,
+            join,
+            docs: docsWithArrJoins,
+            fields: joinFields[join._key],
+            options: restOptions,
+            parentFields: fields,
+          });
+
+          // Prepare function-type joins (fetched per batch or per distinct selector),
+          // through joins (fetched with a query per hop)
+          // and polymorphic joins (fetched per target type)
+          return then(
+            [
+              ...fnJoins.map((join) => createFnJoinFetcher(batchArgs(join))),
+              ...throughJoins.map((join) =>
+                createThroughJoinFetcher(batchArgs(join))
+              ),
+              ...polymorphicJoins.map((join) =>
+                createPolymorphicJoinFetcher(batchArgs(join))
+              ),
+            ],
+
+            (fnJoinsEnhancers) =>
+              // For each doc, apply object-join enhancers, then function and through ones
+              docsWithArrJoins
+                .map((doc, index) => {
+                  const docWithObjJoins = objJoinsEnhancers.reduce(
+                    (_doc, fn) => fn(_doc),
+                    doc
+                  );
+
+                  return fnJoinsEnhancers.reduce(
+                    (_doc, fn) => fn(_doc, index),
+                    docWithObjJoins
+                  );
+                })
+                // Drop docs lacking required joined docs
+                .filter((doc) =>
+                  requirements.every(([key, requirement]) =>
+                    meetsJoinRequirement(requirement, doc[key], doc)
+                  )
+                )
+                // Re-apply transform after all joins
+                .map(enhance)
+          );
+        }
+      );
+    }
+  );
+}
+
+/**
+ * Create a join fetcher for a function-type join over a list of parent docs.
+ * Returns a function (doc, index) => docWithJoin, where index is the position
+ * of the parent doc in the list.
+ *
+ * - If the join defines `batch`, joined docs of all parents are fetched with
+ *   a single query and dispatched back to each parent by key.
+ * - Otherwise, parent docs resolving to the same selector share a single fetch.
+ *
+ * @param {Object} args
+ * @param {*} args.Coll - Parent collection.
+ * @param {JoinDef & {_key: string}} args.join - The join definition with internal key.
+ * @param {Object[]} args.docs - Parent documents.
+ * @param {Object|number} args.fields - Join field spec or depth number (for '+').
+ * @param {FetchOptions} args.options - Parent fetch options to forward.
+ * @param {Object} args.parentFields - Parent fields, used for recursive depth.
+ * @returns {Function|Promise<Function>}
+ * @internal
+ */
+function createFnJoinFetcher({
+  Coll,
+  join,
+  docs,
+  fields,
+  options,
+  parentFields,
+}) {
+  if (join.batch) {
+    return createBatchJoinFetcher({
+      Coll,
+      join,
+      docs,
+      fields,
+      options,
+      parentFields,
+    });
+  }
+
+  const { stringify } = getProtocolFor(join.Coll);
+
+  const selectors = docs.map((doc) => join.on(doc));
+  const selectorKeys = selectors.map((selector) => stringify(selector));
+
+  // Map<selectorKey, selector>
+  const distinctSelectors = new Map(
+    selectorKeys.map((selectorKey, i) => [selectorKey, selectors[i]])
+  );
+
+  return then(
+    Array.from(distinctSelectors.values()).map((subSelector) =>
+      createJoinFetcher({
+        Coll,
+        join,
+        fields,
+        subSelector,
+        options,
+        parentFields,
+      })
+    ),
+
+    (joinFetchers) => {
+      const fetchersByKey = new Map(
+        Array.from(distinctSelectors.keys()).map((selectorKey, i) => [
+          selectorKey,
+          joinFetchers[i],
+        ])
+      );
+
+      return (doc, index) => fetchersByKey.get(selectorKeys[index])(doc);
+    }
+  );
+}
+
+/**
+ * Create a join fetcher for a function-type join declaring a `batch` form.
+ * Joined docs of all parents are fetched at once with `batch.selector(keys, docs)`
+ * and dispatched to the parents whose `batch.key(doc)` matches `batch.joinedKey(joinedDoc)`.
+ * `limit`, `skip` and `single` apply to each parent.
+ *
+ * @param {Object} args - Same as createFnJoinFetcher.
+ * @returns {Function|Promise<Function>} Function that attaches joined data to a doc.
+ * @internal
+ */
+function createBatchJoinFetcher({
+  Coll,
+  join: {
+    _key,
+    Coll: joinColl,
+    on,
+    batch: { key, selector, joinedKey },
+    single,
+    postFetch,
+    limit: joinLimit,
+    skip: joinSkip,
+    ...joinRest
+  },
+  docs,
+  fields,
+  options,
+  parentFields,
+}) {
+  const isRecursive = joinColl === Coll;
+  const stopRecursion = isRecursive && !fields;
+
+  const joinFields = isRecursive
+    ? decrementRecursiveField(_key, parentFields)
+    : fields;
+
+  // Parent keys of each doc, and distinct keys of all parents
+  const keysByDoc = docs.map((doc) => toKeyList(key(doc)));
+  const distinctKeys = uniqueBy(idKey, keysByDoc.flat());
+
+  /** @type {FetchOptions} */
+  const subOptions = {
+    ...options,
+    ...joinRest,
+    fields: normalizeFields(joinFields),
+    limit: undefined,
+  };
+
+  return then(
+    stopRecursion || !distinctKeys.length
+      ? []
+      : fetchList(joinColl, selector(distinctKeys, docs), subOptions),
+
+    (allJoinedDocs) => {
+      // Map<idKey, joinedDocs>
+      const joinedByKey = allJoinedDocs.reduce((acc, joinedDoc) => {
+        toKeyList(joinedKey(joinedDoc)).forEach((value) => {
+          const k = idKey(value);
+          acc.set(k, [...(acc.get(k) || []), joinedDoc]);
+        });
+        return acc;
+      }, new Map());
+
+      return (doc, index) => {
+        const joinedDocs = uniqueBy(
+          "_id",
+          keysByDoc[index].flatMap(
+            (value) => joinedByKey.get(idKey(value)) || []
+          )
+        );
+
+        const pageDocs = paginate(joinedDocs, joinSkip, joinLimit);
+        const raw = single ? pageDocs[0] : pageDocs;
+        const afterPostFetch = isFunc(postFetch) ? postFetch(raw, doc) : raw;
+        return { ...doc, [_key]: afterPostFetch };
+      };
+    }
+  );
+}
+
+/**
+ * Create a join fetcher for a join `through` a junction collection.
+ * Junction docs of all parents are fetched with a single query, then the joined
+ * docs they reference with another one. Returns a function (doc) => docWithJoin.
+ *
+ * Joined docs follow the join `sort` if defined, the junction docs order otherwise.
+ * When `through.as` is defined, each joined doc is attached once per junction doc,
+ * which is exposed under that key.
+ *
+ * @param {Object} args - Same as createFnJoinFetcher.
+ * @returns {Function|Promise<Function>} Function that attaches joined data to a doc.
+ * @internal
+ */
+function createThroughJoinFetcher({
+  Coll,
+  join: {
+    _key,
+    Coll: joinColl,
+    through: {
+      Coll: JunctionColl,
+      from,
+      to,
+      selector: junctionSelector = {},
+      fields: junctionFields,
+      sort: junctionSort,
+      as,
+    },
+    single,
+    postFetch,
+    limit: joinLimit,
+    skip: joinSkip,
+    ...joinRest
+  },
+  docs,
+  fields,
+  options,
+  parentFields,
+}) {
+  const isRecursive = joinColl === Coll;
+  const stopRecursion = isRecursive && !fields;
+
+  const joinFields = isRecursive
+    ? decrementRecursiveField(_key, parentFields)
+    : fields;
+
+  const parentIds = uniqueBy(
+    idKey,
+    pluckIds(docs).filter((x) => !isNil(x))
+  );
+
+  // Junction keys are always fetched. Other fields only when exposed.
+  const linkFields = { [from]: 1, [to]: 1 };
+  const subJunctionFields = as
+    ? junctionFields && { ...junctionFields, ...linkFields }
+    : linkFields;
+
+  return then(
+    stopRecursion || !parentIds.length
+      ? []
+      : fetchList(
+          JunctionColl,
+          { ...junctionSelector, [from]: { $in: parentIds } },
+          { ...options, fields: subJunctionFields, sort: junctionSort }
+        ),
+
+    (junctionDocs) => {
+      const farIds = uniqueBy(
+        idKey,
+        junctionDocs
+          .map((junctionDoc) => junctionDoc[to])
+          .filter((x) => !isNil(x))
+      );
+
+      /** @type {FetchOptions} */
+      const subOptions = {
+        ...options,
+        ...joinRest,
+        fields: normalizeFields(joinFields),
+        limit: undefined,
+        transform: isRecursive ? undefined : options.transform,
+      };
+
+      return then(
+        farIds.length
+          ? fetchList(joinColl, { _id: { $in: farIds } }, subOptions)
+          : [],
+
+        (farDocs) => {
+          // Map<idKey, [farDoc, rank]>
+          const farById = new Map(
+            farDocs.map((farDoc, rank) => [idKey(farDoc._id), [farDoc, rank]])
+          );
+
+          // Map<idKey, junctionDocs> of junction docs by parent
+          const junctionsByParent = junctionDocs.reduce((acc, junctionDoc) => {
+            if (!farById.has(idKey(junctionDoc[to]))) return acc;
+
+            const parentKey = idKey(junctionDoc[from]);
+            if (!acc.has(parentKey)) acc.set(parentKey, []);
+            acc.get(parentKey).push(junctionDoc);
+            return acc;
+          }, new Map());
+
+          return (doc) => {
+            const links = junctionsByParent.get(idKey(doc._id)) || [];
+
+            const entries = links.map((junctionDoc) => {
+              const [farDoc, rank] = farById.get(idKey(junctionDoc[to]));
+              const joinedDoc = as ? { ...farDoc, [as]: junctionDoc } : farDoc;
+              return [joinedDoc, rank];
+            });
+
+            // Unless junction docs are exposed, attach each joined doc once
+            const distinctEntries = as
+              ? entries
+              : uniqueBy(([joinedDoc]) => joinedDoc, entries);
+
+            const sortedEntries = joinRest.sort
+              ? [...distinctEntries].sort(([, a], [, b]) => a - b)
+              : distinctEntries;
+
+            const joinedDocs = sortedEntries.map(([joinedDoc]) => joinedDoc);
+            const pageDocs = paginate(joinedDocs, joinSkip, joinLimit);
+            const raw = single ? pageDocs[0] : pageDocs;
+            const afterPostFetch = isFunc(postFetch)
+              ? postFetch(raw, doc)
+              : raw;
+            return { ...doc, [_key]: afterPostFetch };
+          };
+        }
+      );
+    }
+  );
+}
+
+/**
+ * Create a join fetcher for a polymorphic join, whose target collection
+ * depends on the discriminator value of each parent doc.
+ * Parents are grouped by type, and each group is joined as if the join
+ * targeted that type collection, so each collection is queried once.
+ * Returns a function (doc, index) => docWithJoin.
+ *
+ * @param {Object} args - Same as createFnJoinFetcher.
+ * @returns {Function|Promise<Function>}
+ * @internal
+ */
+function createPolymorphicJoinFetcher({ Coll, join, docs, fields, options }) {
+  // Parents are filtered by the requirement of the polymorphic join itself
+  const { _key, polymorphic, single, postFetch, required, ...joinRest } = join;
+  const { discriminator } = polymorphic;
+  const typeDefs = new Map(listPolymorphicTypes(polymorphic));
+
+  // Map<type, parent indexes>, ignoring parents of unknown types
+  const indexesByType = docs.reduce((acc, doc, index) => {
+    const type = doc[discriminator];
+    if (!typeDefs.has(type)) return acc;
+
+    if (!acc.has(type)) acc.set(type, []);
+    acc.get(type).push(index);
+    return acc;
+  }, new Map());
+
+  const typeEntries = Array.from(indexesByType.entries());
+  const joinPrefix = getJoinPrefix();
+
+  return then(
+    typeEntries.map(([type, indexes]) => {
+      const { Coll: typeColl, fields: typeFields } = typeDefs.get(type);
+      const typeJoinFields = {
+        [_key]: omitRequired(mergeTypeFields(fields, typeFields)),
+      };
+
+      // Join the parents of this type as if the join targeted its collection only
+      return attachJoins(
+        Coll,
+        indexes.map((index) => docs[index]),
+        {
+          ...options,
+          fields: joinPrefix
+            ? { [joinPrefix]: typeJoinFields }
+            : typeJoinFields,
+          transform: null,
+        },
+        [],
+        { [_key]: { ...joinRest, Coll: typeColl, single, postFetch } }
+      );
+    }),
+
+    (joinedDocsByType) => {
+      // Map<parent index, joined value>
+      const valuesByIndex = new Map(
+        typeEntries.flatMap(([, indexes], i) =>
+          indexes.map((index, j) => [index, joinedDocsByType[i][j][_key]])
+        )
+      );
+
+      return (doc, index) => {
+        if (valuesByIndex.has(index)) {
+          return { ...doc, [_key]: valuesByIndex.get(index) };
+        }
+
+        const raw = single ? undefined : [];
+        const afterPostFetch = isFunc(postFetch) ? postFetch(raw, doc) : raw;
+        return { ...doc, [_key]: afterPostFetch };
+      };
+    }
+  );
+}
+
+/* Apply a join skip and limit to the joined docs of a single parent. */
+function paginate(joinedDocs, skip = 0, limit = undefined) {
+  const end = limit ? skip + limit : undefined;
+  return skip || end ? joinedDocs.slice(skip, end) : joinedDocs;
+}
+
+/* Normalize a batch key value to a list, ignoring nil values. */
+function toKeyList(value) {
+  const list = isArr(value) ? value : [value];
+  return list.filter((x) => !isNil(x));
+}
+
 function partitionJoinsByType(usedJoinKeys = [], joins = {}) {
   const joinsByType = usedJoinKeys.reduce((acc, joinKey) => {
     const join = joins[joinKey];
     if (!join) return acc;
 
-    const type = typeOf(join.on);
+    const type = join.polymorphic
+      ? "polymorphic"
+      : join.aggregate
+        ? "aggregate"
+        : join.through
+          ? "through"
+          : typeOf(join.on);
     const enhancedJoin = { ...join, _key: joinKey };
     const prev = acc[type] || [];
     return { ...acc, [type]: [...prev, enhancedJoin] };
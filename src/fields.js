@@ -1,5 +1,5 @@
-import { getJoinPrefix } from "./join";
-import { filter, isObj } from "./util";
+import { getJoinPrefix, propName } from "./join";
+import { filter, hasOwn, isArr, isFunc, isNil, isObj } from "./util";
 
 /**
  * @typedef {Record<string, (0|1|boolean|FieldSpec)>} FieldSpec
@@ -9,8 +9,16 @@ import { filter, isObj } from "./util";
  *
  * Special handling:
  * - join fields may be grouped under the join prefix (e.g. '+') when set via getJoinPrefix()
+ * - the fields of a join may include a `$required` key (see REQUIRED_FIELD)
  */
 
+/**
+ * Key of a join fields spec overriding the join `required` definition for a query.
+ * It is not part of the projection.
+ * @type {string}
+ */
+export const REQUIRED_FIELD = "$required";
+
 /**
  * Normalize a field projection for downstream usage.
  * - If fields is not a plain object: returns undefined when truthy (meaning "select all"),
@@ -86,7 +94,10 @@ export function flattenFields(fields, root) {
 export function dispatchFields(fields, joins = {}) {
   if (!isObj(fields)) return { _: normalizeFields(fields) };
 
-  const { "+": joinFields, ...ownFields } = isolateJoinFields(fields, joins);
+  const { "+": joinFields, ...ownFields } = isolateJoinFields(
+    omitRequired(fields),
+    joins
+  );
 
   if (!joinFields) {
     return { _: normalizeFields(ownFields, true), "+": undefined };
@@ -102,17 +113,70 @@ export function dispatchFields(fields, joins = {}) {
   // Otherwise, ensure we include any deps fields required by the join definitions
   // (on/from keys and/or explicit fields deps defined on the join).
   const augmentedOwnFields = Object.keys(joinFields).reduce((acc, joinKey) => {
-    const { on, fields: _joinFields, deps = _joinFields } = joins[joinKey];
-
-    const onFields = Array.isArray(on) ? { [on[0]]: 1 } : undefined;
-    if (!(onFields || deps)) return acc;
-
-    return { ...acc, ...onFields, ...deps };
+    const {
+      on,
+      polymorphic,
+      fields: _joinFields,
+      deps = _joinFields,
+    } = joins[joinKey];
+
+    const onFields = Array.isArray(on) ? { [propName(on[0])]: 1 } : undefined;
+    const typeFields = polymorphic && { [polymorphic.discriminator]: 1 };
+    if (!(onFields || typeFields || deps)) return acc;
+
+    return { ...acc, ...onFields, ...typeFields, ...deps };
   }, ownFields);
 
   return { _: normalizeFields(augmentedOwnFields, true), "+": joinFields };
 }
 
+/**
+ * Remove the `$required` key from a join fields spec.
+ *
+ * @param {FieldSpec|undefined} fields
+ * @returns {FieldSpec|undefined}
+ * @internal
+ */
+export function omitRequired(fields) {
+  if (!isObj(fields) || !hasOwn(fields, REQUIRED_FIELD)) return fields;
+
+  const { [REQUIRED_FIELD]: _required, ...rest } = fields;
+  return rest;
+}
+
+/**
+ * Resolve the requirement of a join for a query: the `$required` key of the
+ * join fields if any, the join `required` definition otherwise.
+ *
+ * @param {Object} join - Join definition.
+ * @param {FieldSpec|number|boolean} joinFields - Fields requested for the join.
+ * @returns {boolean|Function|undefined} Falsy if parents are not filtered by this join.
+ * @internal
+ */
+export function getJoinRequirement(join, joinFields) {
+  return isObj(joinFields) && hasOwn(joinFields, REQUIRED_FIELD)
+    ? joinFields[REQUIRED_FIELD]
+    : join?.required;
+}
+
+/**
+ * Check whether a document meets a join requirement.
+ * - Function requirement: `(joined, doc) => boolean` on the attached value.
+ * - Other truthy requirement: the attached value must be a non-empty array or a
+ *   value other than null or undefined.
+ *
+ * @param {boolean|Function} requirement
+ * @param {*} joined - Value attached by the join.
+ * @param {Object} doc - Parent document.
+ * @returns {boolean}
+ * @internal
+ */
+export function meetsJoinRequirement(requirement, joined, doc) {
+  if (!requirement) return true;
+  if (isFunc(requirement)) return !!requirement(joined, doc);
+  return isArr(joined) ? joined.length > 0 : !isNil(joined);
+}
+
 /**
  * Combine two field projections into one.
  * Rules:
@@ -207,7 +271,7 @@ function removeFalsyFields(fields) {
  * @returns {{ '+': FieldSpec|undefined } & FieldSpec} Fields split between join and own keys.
  * @internal
  */
-function isolateJoinFields(fields, joins = {}) {
+export function isolateJoinFields(fields, joins = {}) {
   const joinKeys = Object.keys(joins);
   const joinPrefix = getJoinPrefix();
 
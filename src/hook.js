@@ -1,13 +1,15 @@
 import { combineFields } from "./fields";
-import { getProtocol } from "./protocol";
+import { getProtocolFor } from "./protocol";
 import { isArr, isFunc, isPromise, then } from "./util";
 import { _getLockedPool } from "./pool";
+import { deferUntilCommit } from "./transaction";
 
 /**
  * List of supported hook types.
  * - beforeInsert:    runs before inserting a document.        (docToInsert)
  * - beforeUpdate:    runs before updating documents.          (docsToUpdate, modifier)
  * - beforeRemove:    runs before removing documents.          (docsToRemove)
+ * - beforeUpsert:    runs before an upsert inserting a doc.   (selector, modifier)
  * - onInserted:      runs after a document is inserted.       (doc)
  * - onUpdated:       runs after a document is updated.        (doc, beforeDoc?)
  * - onRemoved:       runs after a document is removed.        (doc)
@@ -18,6 +20,7 @@ const HOOK_TYPES = [
   "beforeInsert", // (docToInsert)
   "beforeUpdate", // (docsToUpdate, modifier)
   "beforeRemove", // (docsToRemove)
+  "beforeUpsert", // (selector, modifier)
 
   "onInserted", // (doc)
   "onUpdated", // (doc, before)
@@ -31,7 +34,7 @@ const HOOK_TYPES = [
 const FIRE_AND_FORGET_HOOK_TYPES = ["onInserted", "onUpdated", "onRemoved"];
 
 /**
- * @typedef {'beforeInsert'|'beforeUpdate'|'beforeRemove'|'onInserted'|'onUpdated'|'onRemoved'} HookType
+ * @typedef {'beforeInsert'|'beforeUpdate'|'beforeRemove'|'beforeUpsert'|'onInserted'|'onUpdated'|'onRemoved'} HookType
  */
 
 /**
@@ -159,7 +162,7 @@ function addHookDefinition(Coll, hookType, hookDef) {
     throw new TypeError("'hook' must be a function or contain a 'fn' key");
   }
 
-  const { getName } = getProtocol();
+  const { getName } = getProtocolFor(Coll);
 
   const collHooks = getHookDefinitions(Coll);
   const prevHooks = collHooks[hookType] || [];
@@ -250,9 +253,13 @@ function combineHookDefinitions(
     fields,
     fn(...args) {
       if (fireAndForget) {
-        hookDefs.forEach((hookDef) =>
-          poolHook({ ...hookDef, fireAndForget }, ...args)
-        );
+        const fire = () =>
+          hookDefs.forEach((hookDef) =>
+            poolHook({ ...hookDef, fireAndForget }, ...args)
+          );
+
+        /* Within a transaction, wait for it to be committed */
+        if (!deferUntilCommit(fire)) fire();
         return;
       }
 
@@ -296,7 +303,7 @@ function poolHook(hookDef = {}, ...args) {
  */
 function runHook(hookDef = {}, ...args) {
   const { fireAndForget, fn, onError, unless, when } = hookDef;
-  const { bindEnvironment } = getProtocol();
+  const { bindEnvironment } = getProtocolFor(hookDef.Coll);
 
   /* Protocol might add a `bindEnvironment` function (ex: Meteor.bindEnvironment with Fibers)
    * that must be used if provided. */
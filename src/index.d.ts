@@ -2,7 +2,10 @@ export type AnyObject = Record<string, any>;
 export type MaybePromise<T> = T | Promise<T>;
 export type Selector = AnyObject | string;
 
-export type FieldValue = 0 | 1 | boolean | number | FieldSpec;
+export type JoinRequirement = boolean | ((joined: any, parent: any) => boolean);
+
+/** `JoinRequirement` values are only valid for the `$required` key of join fields. */
+export type FieldValue = 0 | 1 | boolean | number | FieldSpec | JoinRequirement;
 export interface FieldSpec {
   [key: string]: FieldValue;
 }
@@ -13,14 +16,36 @@ export interface FetchOptions<TDoc = AnyObject> extends AnyObject {
   limit?: number;
   skip?: number;
   transform?: ((doc: TDoc) => any) | null;
+  /** Fetch joins with a single `$lookup` aggregation when possible (array joins require MongoDB 5.0 or later). */
+  lookup?: boolean;
+  /** Serve identical fetches from the query results cache. */
+  cache?: true | { ttl?: number };
+}
+
+export interface CacheConfig {
+  /** Default time to live of cached results (ms). Defaults to 1000. */
+  ttl?: number;
+  /** Maximum number of cached results. Defaults to 500. */
+  maxSize?: number;
 }
 
 export interface Protocol<TColl = any, TDoc = AnyObject> {
+  aggregate?: (
+    Coll: TColl,
+    pipeline: AnyObject[],
+    options?: AnyObject
+  ) => MaybePromise<AnyObject[]>;
   count: (
     Coll: TColl,
     selector?: AnyObject,
     options?: AnyObject
   ) => MaybePromise<number>;
+  distinct?: (
+    Coll: TColl,
+    key: string,
+    selector?: AnyObject,
+    options?: AnyObject
+  ) => MaybePromise<any[]>;
   findList: (
     Coll: TColl,
     selector?: AnyObject,
@@ -33,10 +58,12 @@ export interface Protocol<TColl = any, TDoc = AnyObject> {
       added?: (id: any, fields: AnyObject) => any;
       changed?: (id: any, fields: AnyObject) => any;
       removed?: (id: any) => any;
+      error?: (error: unknown) => any;
     },
     options?: AnyObject
   ) => MaybePromise<{ stop: () => void }>;
   stringify: (value: any) => string;
+  parse?: (text: string) => any;
   getName?: (Coll: TColl) => string;
   getTransform?: (Coll: TColl) => ((doc: TDoc) => any) | undefined;
   bindEnvironment?: <TArgs extends any[], TRet>(
@@ -58,6 +85,77 @@ export interface Protocol<TColl = any, TDoc = AnyObject> {
     modifier: AnyObject,
     options?: AnyObject
   ) => MaybePromise<number>;
+  insertMany?: (
+    Coll: TColl,
+    docs: AnyObject[],
+    options?: AnyObject
+  ) => MaybePromise<any[]>;
+  upsert?: (
+    Coll: TColl,
+    selector: AnyObject,
+    modifier: AnyObject,
+    options?: AnyObject
+  ) => MaybePromise<UpsertResult>;
+  replaceOne?: (
+    Coll: TColl,
+    selector: AnyObject,
+    doc: AnyObject,
+    options?: AnyObject
+  ) => MaybePromise<number>;
+  startSession?: (Coll: TColl) => MaybePromise<TransactionSession>;
+  bulkWrite?: (
+    Coll: TColl,
+    operations: BulkWriteOperation[],
+    options?: AnyObject
+  ) => MaybePromise<BulkWriteResult>;
+}
+
+export interface TransactionSession {
+  startTransaction: (options?: AnyObject) => MaybePromise<void>;
+  commitTransaction: () => MaybePromise<any>;
+  abortTransaction: () => MaybePromise<any>;
+  endSession: () => MaybePromise<void>;
+}
+
+export interface TransactionContext {
+  /** Session used for a collection, started if necessary. */
+  getSession: <TColl>(Coll: TColl) => MaybePromise<any>;
+}
+
+export interface UpsertResult {
+  numberAffected: number;
+  /** Only defined if a document was inserted. */
+  insertedId?: any;
+}
+
+export type BulkWriteOperation =
+  | { insertOne: { document: AnyObject } }
+  | {
+      updateOne: { filter: AnyObject; update: AnyObject; upsert?: boolean };
+    }
+  | {
+      updateMany: { filter: AnyObject; update: AnyObject; upsert?: boolean };
+    }
+  | {
+      replaceOne: {
+        filter: AnyObject;
+        replacement: AnyObject;
+        upsert?: boolean;
+      };
+    }
+  | { deleteOne: { filter: AnyObject } }
+  | { deleteMany: { filter: AnyObject } };
+
+export interface BulkWriteResult {
+  insertedCount: number;
+  matchedCount: number;
+  modifiedCount: number;
+  deletedCount: number;
+  upsertedCount: number;
+  /** Inserted _ids by operation index. */
+  insertedIds: Record<number, any>;
+  /** Upserted _ids by operation index. */
+  upsertedIds: Record<number, any>;
 }
 
 export type JoinArrayProp = string | [string];
@@ -71,21 +169,101 @@ export type JoinOn<TParent = AnyObject> =
   | JoinFunctionOn<TParent>
   | JoinObjectOn;
 
-export interface JoinDef<TParent = AnyObject> extends AnyObject {
+/** Batch form of a function join, fetching joined docs of all parents with one query. */
+export interface JoinBatch<TParent = AnyObject> {
+  /** Key (or list of keys) of a parent document. */
+  key: (doc: TParent) => any;
+  /** Selector for the joined docs of all distinct parent keys. */
+  selector: (keys: any[], docs: TParent[]) => AnyObject;
+  /** Key (or list of keys) of the parents a joined document belongs to. */
+  joinedKey: (joinedDoc: AnyObject) => any;
+}
+
+/** Junction collection linking parent docs to joined docs (many-to-many). */
+export interface JoinThrough {
   Coll: any;
-  on: JoinOn<TParent>;
+  /** Junction field referencing the parent document `_id`. */
+  from: string;
+  /** Junction field referencing the joined document `_id`. */
+  to: string;
+  selector?: AnyObject;
+  /** Junction docs order, used for joined docs when the join has no `sort`. */
+  sort?: AnyObject;
+  /** Key under which the junction doc is exposed on each joined doc. */
+  as?: string;
+  /** Junction fields exposed under `as`. */
+  fields?: FieldSpec;
+}
+
+/** Reverse join registered on the target collection of an array join. */
+export interface JoinInverse extends AnyObject {
+  /** Key of the reverse join on the target collection. */
+  key: string;
+  single?: boolean;
+  limit?: number;
+  skip?: number;
+  sort?: AnyObject;
+  postFetch?: (joined: any[] | any, parent: any) => any;
+}
+
+/** Target collection selected per parent document by a discriminator field. */
+export interface JoinPolymorphic {
+  /** Parent field whose value selects the target type. */
+  discriminator: string;
+  /** Target collection, or `{ Coll, fields }`, by discriminator value. */
+  types: Record<string, any | { Coll: any; fields?: FieldSpec }>;
+}
+
+/** Aggregated value attached by a join instead of the joined documents. */
+export type JoinAggregate =
+  | "count"
+  | "exists"
+  | { sum: string }
+  | { min: string }
+  | { max: string };
+
+export interface JoinDef<TParent = AnyObject> extends AnyObject {
+  /** Required unless `polymorphic` is defined. */
+  Coll?: any;
+  /** Select the target collection per parent document. */
+  polymorphic?: JoinPolymorphic;
+  /** Required unless `through` is defined. */
+  on?: JoinOn<TParent>;
+  /** Link parent and joined docs through a junction collection. */
+  through?: JoinThrough;
   single?: boolean;
   postFetch?: (joined: any[] | any, parent: TParent) => any;
   deps?: FieldSpec;
   /** Backward-compatible alias for `deps`. */
   fields?: FieldSpec;
+  /** Maximum joined documents per parent. */
   limit?: number;
+  /** Joined documents to skip per parent. */
+  skip?: number;
+  /** Sort order of the joined documents of each parent. */
+  sort?: AnyObject;
+  /** Only with a function `on`. */
+  batch?: JoinBatch<TParent>;
+  /** Attach an aggregated value instead of the joined documents. */
+  aggregate?: JoinAggregate;
+  /** Register the reverse join on the target collection (array `on` only). */
+  inverse?: string | JoinInverse;
+  /** Drop parent documents without joined documents, or failing the predicate. */
+  required?: JoinRequirement;
+}
+
+/** Derived field evaluated from its deps when requested in `fields`. */
+export interface ComputedDef<TDoc = AnyObject> {
+  /** Own and join fields the value is computed from. */
+  deps?: FieldSpec;
+  fn: (doc: TDoc) => any | Promise<any>;
 }
 
 export type HookType =
   | "beforeInsert"
   | "beforeUpdate"
   | "beforeRemove"
+  | "beforeUpsert"
   | "onInserted"
   | "onUpdated"
   | "onRemoved";
@@ -128,6 +306,12 @@ export interface PoolConfig {
   onOverflow?: PoolOverflow;
 }
 
+export interface PollingObserveOptions {
+  interval?: number;
+  maxInterval?: number;
+  backoff?: number;
+}
+
 export interface SoftRemoveRegistrationOptions<TDoc = AnyObject> {
   when?: (doc: TDoc) => boolean | Promise<boolean>;
   docToCollSelectorPairs?: (
@@ -199,12 +383,32 @@ export interface PublicationContext {
   onStop?: (fn: () => void) => void;
 }
 
+export function computed<TColl>(
+  Coll: TColl,
+  defs?: Record<string, ComputedDef> | null | undefined | false
+): void;
+
+export function getComputed<TColl>(Coll: TColl): Record<string, ComputedDef>;
+
 export function count<TColl>(
   Coll: TColl,
   selector: AnyObject,
   options?: AnyObject
 ): MaybePromise<number>;
 
+export function distinct<TColl, TValue = any>(
+  Coll: TColl,
+  key: string,
+  selector?: AnyObject,
+  options?: AnyObject
+): MaybePromise<TValue[]>;
+
+export function aggregate<TColl, TResult = AnyObject>(
+  Coll: TColl,
+  pipeline?: AnyObject[],
+  options?: AnyObject
+): MaybePromise<TResult[]>;
+
 export function fetchList<TColl, TDoc = AnyObject>(
   Coll: TColl,
   selector?: AnyObject,
@@ -217,6 +421,78 @@ export function fetchOne<TColl, TDoc = AnyObject>(
   options?: FetchOptions<TDoc>
 ): MaybePromise<TDoc | undefined>;
 
+export interface FetchStreamOptions<
+  TDoc = AnyObject,
+> extends FetchOptions<TDoc> {
+  /** Number of base documents fetched and joined at a time. Defaults to 500. */
+  batchSize?: number;
+}
+
+export function fetchStream<TColl, TDoc = AnyObject>(
+  Coll: TColl,
+  selector?: AnyObject,
+  options?: FetchStreamOptions<TDoc>
+): AsyncGenerator<TDoc, void, undefined>;
+
+export interface FetchPageOptions<TDoc = AnyObject> extends Omit<
+  FetchOptions<TDoc>,
+  "limit" | "skip"
+> {
+  /** Number of documents following `after` (or the start). */
+  first?: number;
+  /** Number of documents preceding `before` (or the end). */
+  last?: number;
+  /** Cursor the page starts after. */
+  after?: string;
+  /** Cursor the page ends before. */
+  before?: string;
+  /** Also count the documents matching the selector. */
+  totalCount?: boolean;
+}
+
+export interface PageInfo {
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+  startCursor: string | null;
+  endCursor: string | null;
+}
+
+export interface Page<TDoc = AnyObject> {
+  docs: TDoc[];
+  pageInfo: PageInfo;
+  totalCount?: number;
+}
+
+export function fetchPage<TColl, TDoc = AnyObject>(
+  Coll: TColl,
+  selector?: AnyObject,
+  options?: FetchPageOptions<TDoc>
+): MaybePromise<Page<TDoc>>;
+
+export interface FetchMapOptions<TDoc = AnyObject> extends FetchOptions<TDoc> {
+  /** Dot path of the keying field. Defaults to `_id`. */
+  key?: string;
+}
+
+export function fetchMap<TColl, TDoc = AnyObject, TKey = any>(
+  Coll: TColl,
+  selector?: AnyObject,
+  options?: FetchMapOptions<TDoc>
+): MaybePromise<Map<TKey, TDoc>>;
+
+export interface FetchGroupByOptions<
+  TDoc = AnyObject,
+> extends FetchOptions<TDoc> {
+  /** Dot path of the grouping field. */
+  by: string;
+}
+
+export function fetchGroupBy<TColl, TDoc = AnyObject, TKey = any>(
+  Coll: TColl,
+  selector: AnyObject | undefined,
+  options: FetchGroupByOptions<TDoc>
+): MaybePromise<Map<TKey, TDoc[]>>;
+
 export function fetchIds<TColl, TId = string>(
   Coll: TColl,
   selector: AnyObject,
@@ -240,6 +516,12 @@ export function hook<TColl>(
 
 export function insert<TColl>(Coll: TColl, doc: AnyObject): MaybePromise<any>;
 
+export function insertMany<TColl>(
+  Coll: TColl,
+  docs: AnyObject[],
+  options?: AnyObject
+): MaybePromise<any[]>;
+
 export function join<TColl>(
   Collection: TColl,
   joins?: Record<string, JoinDef> | null | undefined | false
@@ -256,6 +538,16 @@ export function remove<TColl>(
 
 export function configurePool(config?: PoolConfig): void;
 
+export function configureCache(config?: CacheConfig): void;
+
+export function withLoaderScope<T>(fn: () => T): T;
+
+export function withTransaction<T>(
+  fn: (ctx: TransactionContext) => T | Promise<T>,
+  options?: AnyObject
+): Promise<T>;
+export function clearCache<TColl>(Coll?: TColl): void;
+
 export function publish(
   publication: PublicationContext,
   Coll: any,
@@ -267,6 +559,48 @@ export function setProtocol<TColl = any, TDoc = AnyObject>(
   methods?: Partial<Protocol<TColl, TDoc>>
 ): void;
 
+export function bindProtocol<TColl = any, TDoc = AnyObject>(
+  Colls: TColl | TColl[],
+  methods: Partial<Protocol<TColl, TDoc>> | null | undefined
+): void;
+
+export interface ProtocolMiddlewareContext<TColl = any> {
+  method:
+    | "aggregate"
+    | "bulkWrite"
+    | "count"
+    | "distinct"
+    | "findList"
+    | "insert"
+    | "insertMany"
+    | "observe"
+    | "remove"
+    | "replaceOne"
+    | "update"
+    | "upsert";
+  args: any[];
+  Coll: TColl;
+  protocol: Protocol<TColl>;
+}
+
+export type ProtocolMiddleware<TColl = any> = (
+  ctx: ProtocolMiddlewareContext<TColl>,
+  next: (args?: any[]) => any
+) => any;
+
+export function useProtocolMiddleware<TColl = any>(
+  middleware: ProtocolMiddleware<TColl>
+): () => void;
+
+export function setProtocolResolver(
+  resolver: ((Coll: any) => Partial<Protocol> | null | undefined) | null
+): void;
+
+export function withPollingObserve<TProtocol extends Partial<Protocol>>(
+  protocol: TProtocol,
+  options?: PollingObserveOptions
+): TProtocol & Pick<Protocol, "observe">;
+
 export function registerSoftRemove<TColl, TDoc = AnyObject>(
   Coll: TColl,
   options?: SoftRemoveRegistrationOptions<TDoc>
@@ -290,7 +624,28 @@ export function update<TColl>(
   options?: AnyObject
 ): MaybePromise<number>;
 
+export function upsert<TColl>(
+  Coll: TColl,
+  selector: AnyObject,
+  modifier: AnyObject,
+  options?: AnyObject & { multi?: boolean }
+): MaybePromise<UpsertResult>;
+
+export function replaceOne<TColl>(
+  Coll: TColl,
+  selector: AnyObject,
+  doc: AnyObject,
+  options?: AnyObject
+): MaybePromise<number>;
+
+export function bulkWrite<TColl>(
+  Coll: TColl,
+  operations: BulkWriteOperation[],
+  options?: AnyObject
+): MaybePromise<BulkWriteResult>;
+
 export const protocols: {
+  memory: Protocol;
   meteorAsync: Protocol;
   meteorSync: Protocol;
   node: Protocol;
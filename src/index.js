@@ -1,14 +1,36 @@
+export { aggregate } from "./aggregate";
+export { bulkWrite } from "./bulkWrite";
+export { clearCache, configureCache } from "./cache";
+export { computed, getComputed } from "./computed";
 export { count } from "./count";
-export { exists, fetchIds, fetchList, fetchOne } from "./fetch";
+export { distinct } from "./distinct";
+export {
+  exists,
+  fetchGroupBy,
+  fetchIds,
+  fetchList,
+  fetchMap,
+  fetchOne,
+  fetchPage,
+  fetchStream,
+} from "./fetch";
 export { flattenFields } from "./fields";
 export { hook } from "./hook";
-export { insert } from "./insert";
+export { insert, insertMany } from "./insert";
 export { join, getJoins, getJoinPrefix, setJoinPrefix } from "./join";
+export { withLoaderScope } from "./loader";
 export { remove } from "./remove";
 export { configurePool } from "./pool";
-export { setProtocol } from "./protocol";
+export {
+  bindProtocol,
+  setProtocol,
+  setProtocolResolver,
+  useProtocolMiddleware,
+} from "./protocol";
+export { withPollingObserve } from "./protocols/pollingObserve";
 export { publish } from "./publish";
 export { registerSoftRemove, softRemove } from "./softRemove";
-export { update } from "./update";
+export { withTransaction } from "./transaction";
+export { replaceOne, update, upsert } from "./update";
 
 export * as protocols from "./protocols";
@@ -1,14 +1,17 @@
-import { fetchOne } from "./fetch";
+import { clearCache } from "./cache";
+import { fetchList } from "./fetch";
 import { getHook } from "./hook";
-import { getProtocol } from "./protocol";
-import { fireAndForget, isFunc, then } from "./util";
+import { getProtocolFor } from "./protocol";
+import { idKey } from "./protocols/observeHelpers";
+import { fireAndForget, isArr, isFunc, then } from "./util";
 
 /**
  * Insert a document into a collection with hook support.
  *
  * Execution flow (sync or async depending on the active protocol):
  * 1) Run `beforeInsert` hook if defined: can validate the doc.
- * 2) Call protocol.insert(Coll, doc) to perform the insertion.
+ * 2) Call protocol.insert(Coll, doc) to perform the insertion,
+ *    then invalidate cached query results depending on the collection.
  * 3) Run `onInserted` hook if defined:
  *    - If the hook requests only {_id: 1}, pass {_id} directly.
  *    - Otherwise fetch the inserted document with the requested fields,
@@ -28,47 +31,124 @@ import { fireAndForget, isFunc, then } from "./util";
  * const _id = await insert(Users, { name: 'Alice', email: 'a@ex.com' });
  */
 export function insert(Coll, doc) {
-  const protocol = getProtocol();
-  const beforeInsertHook = getHook(Coll, "beforeInsert");
+  const protocol = getProtocolFor(Coll);
 
   return then(
     /* Run `beforeInsert` if present (may mutate/validate doc).
      * Can throw an error to prevent insertion. */
-    isFunc(beforeInsertHook?.fn) && beforeInsertHook.fn(doc),
-
-    () => {
-      const onInsertedHook = getHook(Coll, "onInserted");
+    runBeforeInsert(Coll, [doc]),
 
-      return then(
+    () =>
+      then(
         // Perform actual insert via protocol
         protocol.insert(Coll, doc),
 
         (_id) => {
-          if (!onInsertedHook) return _id;
-
-          const { fields, fn: onInserted } = onInsertedHook;
-
-          // If hook only needs _id, no fetch is necessary
-          const fieldKeys = fields ? Object.keys(fields) : [];
-          const _idOnly = fieldKeys.length === 1 && fieldKeys[0] === "_id";
-
-          return then(
-            // Fetch inserted doc or pass {_id} directly
-            _idOnly ? { _id } : fetchOne(Coll, { _id }, { fields }),
-
-            (insertedDoc) => {
-              /* Pass inserted doc to `onInserted` hook.
-               * Do NOT await, should run asynchronously if protocol allows. */
-              fireAndForget(
-                () => onInserted(insertedDoc),
-                // eslint-disable-next-line no-console
-                (err) => console?.error("'onInserted' error:", err)
-              );
-
-              return _id;
-            }
-          );
+          clearCache(Coll);
+          return then(runOnInserted(Coll, [_id]), () => _id);
         }
+      )
+  );
+}
+
+/**
+ * Insert several documents into a collection with hook support.
+ *
+ * Execution flow (sync or async depending on the active protocol):
+ * 1) Run `beforeInsert` hook for each doc. Any error prevents the whole insertion.
+ * 2) Call protocol.insertMany(Coll, docs, options),
+ *    then invalidate cached query results depending on the collection.
+ * 3) Run `onInserted` hook for each inserted doc, fetching them all
+ *    with a single query if the hook requests more than `_id`.
+ *
+ * Requires the optional protocol `insertMany` method.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance to insert into.
+ * @param {Object[]} docs - The documents to insert.
+ * @param {Object} [options] - Optional. Options to pass to the protocol.
+ * @returns {Array|Promise<Array>} The inserted documents _ids, in the same order.
+ * @throws {TypeError} If docs is not an array.
+ *
+ * @example
+ * const ids = await insertMany(Users, [{ name: 'Alice' }, { name: 'Bob' }]);
+ */
+export function insertMany(Coll, docs, options) {
+  if (!isArr(docs)) {
+    throw new TypeError("'insertMany' requires an array of documents.");
+  }
+
+  if (!docs.length) return [];
+
+  const protocol = getProtocolFor(Coll);
+
+  return then(runBeforeInsert(Coll, docs), () =>
+    then(protocol.insertMany(Coll, docs, options), (ids) => {
+      clearCache(Coll);
+      return then(runOnInserted(Coll, ids), () => ids);
+    })
+  );
+}
+
+/**
+ * Run the `beforeInsert` hook of a collection for each document, if defined.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object[]} docs - Documents about to be inserted.
+ * @returns {any|Promise<any>} Resolves once all hooks ran. Rejects/throws on a hook error.
+ * @internal
+ */
+export function runBeforeInsert(Coll, docs) {
+  const beforeInsertHook = getHook(Coll, "beforeInsert");
+  if (!isFunc(beforeInsertHook?.fn)) return undefined;
+
+  return then(docs.map((doc) => beforeInsertHook.fn(doc)));
+}
+
+/**
+ * Pass inserted documents to the `onInserted` hook of a collection, if defined.
+ * - If the hook requests only {_id: 1}, pass {_id} directly.
+ * - Otherwise fetch all inserted documents with the requested fields
+ *   in a single query, then pass each of them to the hook.
+ * The hook itself is not awaited.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Array} ids - _ids of the inserted documents.
+ * @returns {undefined|Promise<undefined>} Resolves once docs are fetched.
+ * @internal
+ */
+export function runOnInserted(Coll, ids) {
+  const onInsertedHook = getHook(Coll, "onInserted");
+  if (!onInsertedHook || !ids.length) return undefined;
+
+  const { fields, fn: onInserted } = onInsertedHook;
+
+  // If hook only needs _id, no fetch is necessary
+  const fieldKeys = fields ? Object.keys(fields) : [];
+  const _idOnly = fieldKeys.length === 1 && fieldKeys[0] === "_id";
+
+  return then(
+    // Fetch inserted docs or pass {_id} directly
+    _idOnly
+      ? ids.map((_id) => ({ _id }))
+      : fetchList(Coll, { _id: { $in: ids } }, { fields }),
+
+    (insertedDocs) => {
+      // Keep the insertion order
+      const docsByKey = new Map(
+        insertedDocs.map((doc) => [idKey(doc._id), doc])
+      );
+
+      /* Pass inserted docs to `onInserted` hook.
+       * Do NOT await, should run asynchronously if protocol allows. */
+      fireAndForget(
+        () =>
+          ids.forEach((_id) => {
+            const insertedDoc = docsByKey.get(idKey(_id));
+            if (insertedDoc) onInserted(insertedDoc);
+          }),
+        // eslint-disable-next-line no-console
+        (err) => console?.error("'onInserted' error:", err)
       );
     }
   );
@@ -1,4 +1,5 @@
-import { isFunc, typeOf, warn } from "./util";
+import { parseAggregate } from "./aggregateJoin";
+import { hasOwn, isArr, isFunc, isObj, typeOf, warn } from "./util";
 
 /**
  * Allowed runtime types for the `on` property in a join definition.
@@ -11,6 +12,13 @@ import { isFunc, typeOf, warn } from "./util";
 const KNOWN_TYPES = ["array", "function", "object"];
 const knownTypesCaption = KNOWN_TYPES.join("', '");
 
+/**
+ * Functions required in the `batch` property of a function join.
+ * @type {Array<'key'|'selector'|'joinedKey'>}
+ * @internal
+ */
+const BATCH_FUNCTIONS = ["key", "selector", "joinedKey"];
+
 /**
  * Global registry of join definitions per collection instance.
  * Map<Collection, Record<string, JoinDef>>
@@ -19,6 +27,23 @@ const knownTypesCaption = KNOWN_TYPES.join("', '");
  */
 let joinsDictionary = new Map();
 
+/**
+ * Inverse joins registered from forward join definitions.
+ * Map<Collection, Map<joinKey, { Coll, key, join }>>, where `Coll` and `key`
+ * locate the inverse join on the target collection.
+ * @type {Map<*, Map<string, {Coll: *, key: string, join: JoinDef}>>}
+ * @internal
+ */
+let inverseJoinsDictionary = new Map();
+
+/**
+ * Join definitions generated as inverse joins, so they can be replaced
+ * or removed when their forward join changes.
+ * @type {WeakSet<JoinDef>}
+ * @internal
+ */
+const generatedInverseJoins = new WeakSet();
+
 /**
  * Optional prefix used to distinguish join fields within the `fields` option.
  * If set, join fields must be specified under this prefix, e.g.:
@@ -34,9 +59,22 @@ let joinPrefix = null;
  * - [fromProp, toProp] or [fromProp, toProp, toSelector]
  *   fromProp: field on parent doc (string or ['field'] to denote array-valued)
  *   toProp:   field on joined doc  (string or ['field'] to denote array-valued)
+ *   Fields can be dot paths, including through arrays of subdocuments ('assignees.userId')
  *   toSelector: optional additional selector for joined docs
  */
 
+/**
+ * Name of a prop of an array `on`, which can be wrapped in an array to denote array values.
+ * Names can be dot paths into subdocuments.
+ *
+ * @param {string|[string]} prop
+ * @returns {string}
+ * @internal
+ */
+export function propName(prop) {
+  return isArr(prop) ? prop[0] : prop;
+}
+
 /**
  * @typedef {(doc: any) => Object} JoinFunctionOn
  * Function form: receives the parent document and returns a selector
@@ -52,15 +90,60 @@ let joinPrefix = null;
  * @typedef {JoinArrayOn | JoinFunctionOn | JoinObjectOn} JoinOn
  */
 
+/**
+ * @typedef {Object} JoinBatch
+ * Batch form of a function join, used to fetch joined docs of all parents with one query.
+ * @property {(doc: any) => any} key - Key (or list of keys) of a parent document.
+ * @property {(keys: any[], docs: any[]) => Object} selector - Selector for joined docs of all distinct parent keys.
+ * @property {(joinedDoc: any) => any} joinedKey - Key (or list of keys) of the parents a joined document belongs to.
+ */
+
+/**
+ * @typedef {Object} JoinThrough
+ * Junction collection linking parent docs to joined docs (many-to-many).
+ * @property {*} Coll - The junction collection.
+ * @property {string} from - Junction field referencing the parent doc `_id`.
+ * @property {string} to - Junction field referencing the joined doc `_id`.
+ * @property {Object} [selector] - Additional selector for junction docs.
+ * @property {Object} [sort] - Sort of junction docs, defining joined docs order when the join has no `sort`.
+ * @property {string} [as] - Key under which the junction doc is exposed on each joined doc.
+ * @property {Object} [fields] - Junction fields exposed under `as` (all if omitted).
+ */
+
+/**
+ * @typedef {Object} JoinPolymorphic
+ * Target collection selected per parent document by a discriminator field.
+ * @property {string} discriminator - Parent field whose value selects the target type.
+ * @property {Record<string, *|{Coll: *, fields?: Object}>} types - Target collection
+ *   (or `{ Coll, fields }`, where fields are always fetched for that type) by discriminator value.
+ */
+
+/**
+ * @typedef {Object} JoinInverse
+ * Reverse join registered on the target collection of an array join.
+ * Its `on` mirrors the forward one. Other properties (`single`, `limit`,
+ * `sort`, `postFetch`...) define the reverse join options.
+ * @property {string} key - Key of the reverse join on the target collection.
+ */
+
 /**
  * @typedef {Object} JoinDef
- * @property {*} Coll - The target collection to join with.
- * @property {JoinOn} on - Relation description (array/function/object).
+ * @property {*} [Coll] - The target collection to join with. Required unless `polymorphic` is defined.
+ * @property {JoinPolymorphic} [polymorphic] - Select the target collection per parent document.
+ * @property {JoinOn} [on] - Relation description (array/function/object). Required unless `through` is defined.
+ * @property {JoinThrough} [through] - Link parent and joined docs through a junction collection instead of `on`.
  * @property {boolean} [single] - If true, attach a single document instead of an array.
  * @property {(joined: any[]|any, parent: any) => any} [postFetch] - Transform the joined value before attaching.
  * @property {Object} [deps] - Parent fields required to perform the join when `on` is a function.
  * @property {Object} [fields] - Backward-compatible alias for `deps`.
- * @property {number} [limit] - Limit for the joined fetch (applies when not single).
+ * @property {number} [limit] - Maximum joined docs per parent (applies when not single).
+ * @property {number} [skip] - Joined docs to skip per parent.
+ * @property {Object} [sort] - Sort of the joined docs of each parent.
+ * @property {JoinBatch} [batch] - Fetch joined docs of all parents at once when `on` is a function.
+ * @property {JoinAggregate} [aggregate] - Attach an aggregated value (count, sum...) instead of joined docs.
+ * @property {string|JoinInverse} [inverse] - Register the reverse join on the target collection (array `on` only).
+ * @property {boolean|((joined: any, parent: any) => boolean)} [required] - Drop parent docs without joined docs
+ *   (inner join), or for which the predicate returns false.
  * @property {any} [options] - Any extra options passed through to the underlying fetch/find implementation.
  */
 
@@ -69,7 +152,10 @@ let joinPrefix = null;
  * Validates join shapes and emits warnings for potentially unsafe definitions.
  *
  * Notes:
- * - Calling with `joins` falsy clears existing joins for the collection.
+ * - Calling with `joins` falsy clears existing joins for the collection,
+ *   and the inverse joins they registered.
+ * - A join defining `inverse` registers the reverse join on its target collection.
+ *   Redefining the forward join replaces the reverse one.
  * - If `on` is a function and no `deps` are declared for the join, a warning is emitted,
  *   because required linking keys may not be fetched unless explicitly requested.
  *
@@ -93,17 +179,51 @@ let joinPrefix = null;
  */
 export function join(Collection, joins) {
   if (!joins) {
+    const inverseKeys = inverseJoinsDictionary.get(Collection)?.keys() || [];
+    Array.from(inverseKeys).forEach((key) => removeInverse(Collection, key));
+
     // Explicitly set to undefined to signal no joins for this collection
     joinsDictionary.set(Collection, undefined);
     return;
   }
 
   Object.entries(joins).forEach(
-    ([key, { Coll, on, fields, deps = fields }]) => {
-      if (!Coll) {
+    ([
+      key,
+      {
+        Coll,
+        on,
+        fields,
+        deps = fields,
+        batch,
+        aggregate,
+        through,
+        polymorphic,
+        inverse,
+      },
+    ]) => {
+      if (inverse) {
+        validateInverse(Collection, key, {
+          Coll,
+          on,
+          aggregate,
+          through,
+          polymorphic,
+          inverse,
+        });
+      }
+
+      if (polymorphic) {
+        validatePolymorphic(key, { Coll, aggregate, polymorphic });
+      } else if (!Coll) {
         throw new Error(`Collection 'Coll' for '${key}' join is required.`);
       }
 
+      if (through) {
+        validateThrough(key, { on, batch, aggregate, through });
+        return;
+      }
+
       if (!on) {
         throw new Error(`Join '${key}' has no 'on' condition specified.`);
       }
@@ -115,6 +235,9 @@ export function join(Collection, joins) {
         );
       }
 
+      if (batch) validateBatch(key, on, batch);
+      if (aggregate) validateAggregate(key, on, aggregate);
+
       // When on is a function, the join likely depends on keys from the parent doc.
       // Encourage declaring the base deps required so callers don't forget them.
       if (isFunc(on) && !deps) {
@@ -130,6 +253,205 @@ export function join(Collection, joins) {
     ...joinsDictionary.get(Collection),
     ...joins,
   });
+
+  Object.entries(joins).forEach(([key, joinDef]) =>
+    syncInverse(Collection, key, joinDef)
+  );
+}
+
+/* Normalize an inverse definition to { key, ...options }. */
+function normalizeInverse(inverse) {
+  return typeof inverse === "string" ? { key: inverse } : inverse;
+}
+
+/* Check that an inverse join can be derived from a join and registered. */
+function validateInverse(Collection, key, join) {
+  const { Coll, on, aggregate, through, polymorphic, inverse } = join;
+
+  if (!isArr(on) || aggregate || through || polymorphic) {
+    throw new Error(
+      `Join '${key}' defines 'inverse', which is only supported by array 'on' joins without 'aggregate'.`
+    );
+  }
+
+  if (on[2]) {
+    throw new Error(
+      `Join '${key}' can't define 'inverse' with a 'toSelector', as it can't be reversed.`
+    );
+  }
+
+  const { key: inverseKey } = normalizeInverse(inverse) || {};
+  if (typeof inverseKey !== "string") {
+    throw new Error(`Join '${key}' 'inverse' requires a string 'key'.`);
+  }
+
+  if (Coll === Collection && inverseKey === key) {
+    throw new Error(`Join '${key}' can't be its own inverse.`);
+  }
+
+  const existing = getJoins(Coll)[inverseKey];
+  if (existing && !generatedInverseJoins.has(existing)) {
+    throw new Error(
+      `Join '${key}' inverse '${inverseKey}' is already defined on the target collection.`
+    );
+  }
+}
+
+/* Register (or replace) the inverse join of a forward join, if any. */
+function syncInverse(Collection, key, { Coll, on, inverse }) {
+  removeInverse(Collection, key);
+  if (!inverse) return;
+
+  const { key: inverseKey, ...options } = normalizeInverse(inverse);
+  const [fromProp, toProp] = on;
+  const inverseJoin = { ...options, Coll: Collection, on: [toProp, fromProp] };
+
+  generatedInverseJoins.add(inverseJoin);
+  joinsDictionary.set(Coll, {
+    ...joinsDictionary.get(Coll),
+    [inverseKey]: inverseJoin,
+  });
+
+  const inverseJoins = inverseJoinsDictionary.get(Collection) || new Map();
+  inverseJoins.set(key, { Coll, key: inverseKey, join: inverseJoin });
+  inverseJoinsDictionary.set(Collection, inverseJoins);
+}
+
+/* Remove the inverse join registered by a forward join,
+ * unless it was redefined on the target collection since. */
+function removeInverse(Collection, key) {
+  const inverseJoins = inverseJoinsDictionary.get(Collection);
+  const registered = inverseJoins?.get(key);
+  if (!registered) return;
+
+  inverseJoins.delete(key);
+
+  const { Coll, key: inverseKey, join: inverseJoin } = registered;
+  const targetJoins = joinsDictionary.get(Coll);
+  if (targetJoins?.[inverseKey] !== inverseJoin) return;
+
+  const { [inverseKey]: _removed, ...otherJoins } = targetJoins;
+  joinsDictionary.set(Coll, otherJoins);
+}
+
+/* Check that a join batch form is complete and used on a function join. */
+function validateBatch(key, on, batch) {
+  if (!isFunc(on)) {
+    throw new Error(
+      `Join '${key}' defines 'batch', which is only supported with a function 'on'.`
+    );
+  }
+
+  const missing = BATCH_FUNCTIONS.filter((name) => !isFunc(batch[name]));
+  if (missing.length) {
+    throw new Error(
+      `Join '${key}' 'batch' requires functions '${missing.join("', '")}'.`
+    );
+  }
+}
+
+/* Check that a join aggregate is valid and can be computed without duplicates. */
+function validateAggregate(key, on, aggregate) {
+  if (!parseAggregate(aggregate)) {
+    throw new Error(
+      `Join '${key}' 'aggregate' must be 'count', 'exists' or an object such as { sum: 'field' }, { min: 'field' } or { max: 'field' }.`
+    );
+  }
+
+  if (isArr(on) && isArr(on[0]) && isArr(on[1])) {
+    throw new Error(
+      `Join '${key}' can't define 'aggregate' when both 'on' props are arrays.`
+    );
+  }
+}
+
+/* Check that polymorphic types are well defined and replace the join `Coll`. */
+function validatePolymorphic(key, { Coll, aggregate, polymorphic }) {
+  if (Coll || aggregate) {
+    throw new Error(
+      `Join '${key}' defines 'polymorphic', which can't be combined with '${Coll ? "Coll" : "aggregate"}'.`
+    );
+  }
+
+  const { discriminator, types } = isObj(polymorphic) ? polymorphic : {};
+
+  if (typeof discriminator !== "string") {
+    throw new Error(
+      `Join '${key}' 'polymorphic' requires a string 'discriminator'.`
+    );
+  }
+
+  if (!isObj(types) || !Object.keys(types).length) {
+    throw new Error(
+      `Join '${key}' 'polymorphic' requires 'types' mapping discriminator values to collections.`
+    );
+  }
+
+  const invalidTypes = listPolymorphicTypes(polymorphic)
+    .filter(([, { Coll: typeColl }]) => !typeColl)
+    .map(([type]) => type);
+
+  if (invalidTypes.length) {
+    throw new Error(
+      `Join '${key}' 'polymorphic' types '${invalidTypes.join("', '")}' have no collection.`
+    );
+  }
+}
+
+/**
+ * List the types of a polymorphic join as [type, { Coll, fields }] entries.
+ * A type can be defined by its collection only, or by `{ Coll, fields }`.
+ *
+ * @param {JoinPolymorphic} polymorphic
+ * @returns {Array<[string, {Coll: *, fields?: Object}]>}
+ * @internal
+ */
+export function listPolymorphicTypes({ types }) {
+  return Object.entries(types).map(([type, typeDef]) => [
+    type,
+    isObj(typeDef) && hasOwn(typeDef, "Coll") ? typeDef : { Coll: typeDef },
+  ]);
+}
+
+/**
+ * Combine the join fields requested at query time with those of a polymorphic type.
+ * Type fields restrict joined docs when the whole join is requested,
+ * and are added to the requested ones otherwise.
+ *
+ * @param {Object|number|boolean} fields - Requested join fields.
+ * @param {Object} [typeFields] - Fields defined on the type.
+ * @returns {Object|number|boolean}
+ * @internal
+ */
+export function mergeTypeFields(fields, typeFields) {
+  if (!typeFields) return fields;
+  return isObj(fields) ? { ...typeFields, ...fields } : typeFields;
+}
+
+/* Check that a junction definition is complete and not mixed with other relation forms. */
+function validateThrough(key, { on, batch, aggregate, through }) {
+  const conflicting = Object.entries({ on, batch, aggregate })
+    .filter(([, value]) => value)
+    .map(([name]) => name);
+
+  if (conflicting.length) {
+    throw new Error(
+      `Join '${key}' defines 'through', which can't be combined with '${conflicting.join("', '")}'.`
+    );
+  }
+
+  if (!isObj(through) || !through.Coll) {
+    throw new Error(`Join '${key}' 'through' requires a junction 'Coll'.`);
+  }
+
+  const missing = ["from", "to"].filter(
+    (name) => typeof through[name] !== "string"
+  );
+  if (missing.length) {
+    throw new Error(
+      `Join '${key}' 'through' requires string props '${missing.join("', '")}'.`
+    );
+  }
 }
 
 /**
@@ -0,0 +1,274 @@
+import { registerBuiltInMiddleware } from "./protocol";
+import { idKey } from "./protocols/observeHelpers";
+import {
+  createScopeStorage,
+  deepCopy,
+  isArr,
+  isNil,
+  isObj,
+  isPromise,
+  supportsAsyncScope,
+  then,
+  typeOf,
+  warn,
+} from "./util";
+
+const WRITE_METHODS = [
+  "bulkWrite",
+  "insert",
+  "insertMany",
+  "remove",
+  "replaceOne",
+  "update",
+  "upsert",
+];
+
+/**
+ * Storage of the current loader scope.
+ * Uses `AsyncLocalStorage` when the runtime provides it, so that the scope
+ * follows async continuations. Otherwise, the scope is only visible to calls
+ * issued synchronously by the scope function.
+ * @internal
+ */
+const scopeStorage = createScopeStorage();
+
+/**
+ * Identity of sessions in batch keys, so that calls of different
+ * transactions are never batched together.
+ * @type {WeakMap<Object, number>}
+ * @internal
+ */
+const sessionIds = new WeakMap();
+let lastSessionId = 0;
+
+/**
+ * Whether protocols return promises from `findList`, learned from their first
+ * call (in a scope or not). Only async protocols are batched, so that sync ones
+ * keep returning docs synchronously.
+ * @type {WeakMap<Object, boolean>}
+ * @internal
+ */
+const asyncProtocols = new WeakMap();
+
+/* Whether the lack of async scope has been reported (once) */
+let syncScopeWarned = false;
+
+/**
+ * @typedef {Object} LoaderScope
+ * @property {Map<*, Map<string, Map<string, Promise<Object|undefined>>>>} docs
+ *   Memoized doc promises by collection, options key and id key.
+ * @property {Map<*, Map<string, Object>>} batches - Pending batches by collection and options key.
+ * @internal
+ */
+
+/**
+ * Run a function in a request-scoped loader context.
+ *
+ * Within the scope, protocol `findList` calls selecting documents by `_id`
+ * (ex: `"id"`, `{ _id: id }` or `{ _id: { $in: ids } }`, without `sort` nor `skip`)
+ * are batched and memoized:
+ * - calls issued in the same tick for the same collection and fields are
+ *   coalesced into a single `{ _id: { $in: ids } }` query;
+ * - fetched documents (and missing ones) are memoized for the scope's lifetime.
+ * This applies to `fetchOne`, `fetchList`, `exists` and to the join sub-fetches
+ * made by `fetchList`. Writes through the protocol drop the memoized documents
+ * of the written collection.
+ *
+ * Only protocols whose `findList` returns promises are batched (sync protocols,
+ * like `protocols.memory`, are left as is), once their first call told so.
+ * Each call gets copies of the memoized docs, so that callers can't alter them.
+ *
+ * Batching calls made after an `await` requires `AsyncLocalStorage`
+ * (Node.js 20.16 or later). Otherwise, only the calls made synchronously
+ * by `fn` are batched, and a warning is logged once.
+ *
+ * The loader middleware runs inside those registered with `useProtocolMiddleware`:
+ * they see each call rather than the batched queries.
+ *
+ * @template T
+ * @param {() => T} fn - Function to run within the scope.
+ * @returns {T} The result of `fn`.
+ *
+ * @example
+ * const handler = (req) =>
+ *   withLoaderScope(async () => {
+ *     // Both fetched with a single query
+ *     const [author, reviewer] = await Promise.all([
+ *       fetchOne(Users, { _id: req.authorId }),
+ *       fetchOne(Users, { _id: req.reviewerId }),
+ *     ]);
+ *   });
+ */
+export function withLoaderScope(fn) {
+  registerBuiltInMiddleware("loader", loaderMiddleware);
+
+  const result = scopeStorage.run({ docs: new Map(), batches: new Map() }, fn);
+
+  if (isPromise(result) && !supportsAsyncScope() && !syncScopeWarned) {
+    syncScopeWarned = true;
+    warn(
+      "'withLoaderScope' requires AsyncLocalStorage (Node.js 20.16 or later) to batch calls made after an 'await'."
+    );
+  }
+
+  return result;
+}
+
+/* Protocol middleware routing by-id `findList` calls of the current scope
+ * through its batches, and forgetting memoized docs on writes. */
+function loaderMiddleware(ctx, next) {
+  const { method, Coll, args, protocol } = ctx;
+
+  // Only protocols known to return promises are batched
+  if (method === "findList" && !asyncProtocols.get(protocol)) {
+    const res = next();
+    if (!asyncProtocols.has(protocol)) {
+      asyncProtocols.set(protocol, isPromise(res));
+    }
+    return res;
+  }
+
+  const scope = scopeStorage.getStore();
+  if (!scope) return next();
+
+  if (WRITE_METHODS.includes(method)) {
+    return then(next(), (res) => {
+      scope.docs.delete(Coll);
+      return res;
+    });
+  }
+
+  if (method !== "findList") return next();
+
+  const [, selector, options = {}] = args;
+  const { sort, skip, limit, ...batchOptions } = options;
+  const { fields } = batchOptions;
+  const ids = listSelectedIds(selector);
+
+  // Docs are indexed by _id, which must hence be fetched
+  const excludesId = isObj(fields) && "_id" in fields && !fields._id;
+
+  const isBatchable =
+    ids && !sort && !skip && (!limit || ids.length <= limit) && !excludesId;
+
+  if (!isBatchable) return next();
+
+  // Sessions can't be stringified (driver sessions are circular)
+  const { session, ...keyOptions } = batchOptions;
+  const optionsKey = [
+    getSessionId(session),
+    protocol.stringify(keyOptions),
+  ].join("|");
+  const docsByKey = getOrSet(
+    getOrSet(scope.docs, Coll, () => new Map()),
+    optionsKey,
+    () => new Map()
+  );
+
+  const docPromises = ids.map((_id) => {
+    const key = idKey(_id);
+    if (docsByKey.has(key)) return docsByKey.get(key);
+
+    const promise = enqueue(
+      scope,
+      { Coll, optionsKey, options: batchOptions, next },
+      key,
+      _id
+    );
+
+    // Failed loads are not memoized
+    promise.catch(() => {
+      if (docsByKey.get(key) === promise) docsByKey.delete(key);
+    });
+
+    docsByKey.set(key, promise);
+    return promise;
+  });
+
+  return Promise.all(docPromises).then((docs) => {
+    const found = docs.filter(Boolean);
+    return Array.from(new Set(found), deepCopy);
+  });
+}
+
+/* Add an id to the pending batch of its collection and options, which is
+ * flushed once the current tick's calls are issued. Resolves to the doc. */
+function enqueue(scope, { Coll, optionsKey, options, next }, key, _id) {
+  const batches = getOrSet(scope.batches, Coll, () => new Map());
+  let batch = batches.get(optionsKey);
+
+  if (!batch) {
+    batch = { Coll, options, next, ids: new Map(), waiting: new Map() };
+    batches.set(optionsKey, batch);
+
+    queueMicrotask(() => {
+      batches.delete(optionsKey);
+      flush(batch);
+    });
+  }
+
+  batch.ids.set(key, _id);
+
+  return new Promise((resolve, reject) => {
+    const waiting = batch.waiting.get(key) || [];
+    batch.waiting.set(key, [...waiting, { resolve, reject }]);
+  });
+}
+
+/* Fetch the docs of a batch with a single query and settle their promises. */
+function flush({ Coll, options, next, ids, waiting }) {
+  const selector = { _id: { $in: Array.from(ids.values()) } };
+
+  const settle = (fn) =>
+    waiting.forEach((callbacks, key) =>
+      callbacks.forEach((callback) => fn(callback, key))
+    );
+
+  const rejectAll = (error) => settle(({ reject }) => reject(error));
+
+  try {
+    const maybePromise = then(next([Coll, selector, options]), (docs) => {
+      const docsByKey = new Map(docs.map((doc) => [idKey(doc._id), doc]));
+      settle(({ resolve }, key) => resolve(docsByKey.get(key)));
+    });
+
+    if (isPromise(maybePromise)) maybePromise.catch(rejectAll);
+  } catch (error) {
+    rejectAll(error);
+  }
+}
+
+/* List the ids selected by a selector targeting documents by `_id` only.
+ * Returns undefined for any other selector. */
+function listSelectedIds(selector) {
+  if (["string", "number"].includes(typeof selector)) return [selector];
+  if (!isObj(selector)) return undefined;
+
+  const keys = Object.keys(selector);
+  if (keys.length !== 1 || keys[0] !== "_id") return undefined;
+
+  const value = selector._id;
+  if (isNil(value) || typeOf(value) === "regexp") return undefined;
+  if (!isObj(value)) return [value];
+
+  const operators = Object.keys(value).filter((key) => key.startsWith("$"));
+  if (!operators.length) return [value];
+  if (operators.length > 1 || operators[0] !== "$in") return undefined;
+
+  const { $in } = value;
+  if (!isArr($in) || $in.some((id) => isNil(id) || typeOf(id) === "regexp")) {
+    return undefined;
+  }
+
+  return $in;
+}
+
+function getSessionId(session) {
+  if (!session || typeof session !== "object") return "";
+  return getOrSet(sessionIds, session, () => ++lastSessionId);
+}
+
+function getOrSet(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
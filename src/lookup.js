@@ -0,0 +1,139 @@
+import { withComputedDeps } from "./computed";
+import { dispatchFields, getJoinRequirement, normalizeFields } from "./fields";
+import { getJoins, propName } from "./join";
+import { getProtocolFor } from "./protocol";
+import { isArr, isFunc, isObj } from "./util";
+
+/**
+ * @typedef {Object} CompiledLookups
+ * @property {string[]} joinKeys - Keys of the joins compiled into stages.
+ * @property {Object[]} stages - `$lookup` stages attaching the joined docs.
+ * @property {(doc:Object) => Object} finalize - Shape the joined values of an
+ *   aggregated doc (transforms, `single`, `postFetch`), as `fetchList` would.
+ */
+
+/**
+ * Compile the joins selected in a fields specification into `$lookup` stages,
+ * so that a join tree can be fetched with a single aggregation.
+ *
+ * A join is compiled only if all of its sub-joins can be. Other joins
+ * (function, through and polymorphic joins, recursive joins, joins requesting computed fields,
+ * joins on collections served by another protocol or without a name) are left out,
+ * to be fetched with separate queries.
+ *
+ * Array joins use `$lookup` with both `localField`/`foreignField` and `pipeline`,
+ * which requires MongoDB 5.0 or later.
+ *
+ * @param {*} Coll - The parent collection.
+ * @param {Object} joinFields - Join fields ('+' part of dispatched fields).
+ * @returns {CompiledLookups}
+ * @internal
+ */
+export function compileLookups(Coll, joinFields = {}) {
+  const joins = getJoins(Coll);
+
+  const compiled = Object.entries(joinFields)
+    .map(([key, fields]) => [key, compileJoin(Coll, key, joins[key], fields)])
+    .filter(([, compiledJoin]) => compiledJoin);
+
+  return {
+    joinKeys: compiled.map(([key]) => key),
+    stages: compiled.map(([, { stage }]) => stage),
+    finalize: (doc) =>
+      compiled.reduce((_doc, [, { finalize }]) => finalize(_doc), doc),
+  };
+}
+
+/* Compile a single join and its sub-joins into a `$lookup` stage.
+ * Return undefined if it can't be compiled. */
+function compileJoin(Coll, key, join, fields) {
+  if (!join || !fields || !isCompilable(Coll, join)) return undefined;
+
+  // Parents filtered by a join are paginated once joined, hence fetched separately
+  if (getJoinRequirement(join, fields)) return undefined;
+
+  const { Coll: joinColl, on, single, postFetch, limit, skip, sort } = join;
+
+  // Computed fields are evaluated in memory, once joined docs are fetched
+  if (withComputedDeps(joinColl, fields)) return undefined;
+
+  const protocol = getProtocolFor(joinColl);
+
+  const subFields = isArr(on) ? withToProp(joinColl, fields, on[1]) : fields;
+  const { _: own, "+": subJoinFields = {} } = dispatchFields(
+    normalizeFields(subFields),
+    getJoins(joinColl)
+  );
+
+  // All sub-joins must be compiled, otherwise fetch this join separately
+  const nested = compileLookups(joinColl, subJoinFields);
+  if (nested.joinKeys.length < Object.keys(subJoinFields).length) {
+    return undefined;
+  }
+
+  const [fromProp, toProp, toSelector] = isArr(on) ? on : [];
+  const match = isArr(on) ? toSelector : on;
+  const pageLimit = single ? 1 : limit;
+
+  const pipeline = [
+    isObj(match) && Object.keys(match).length && { $match: match },
+    sort && { $sort: sort },
+    skip && { $skip: skip },
+    pageLimit && { $limit: pageLimit },
+    isObj(own) && Object.keys(own).length && { $project: own },
+    ...nested.stages,
+  ].filter(Boolean);
+
+  const stage = {
+    $lookup: {
+      from: protocol.getName(joinColl),
+      ...(isArr(on) && {
+        localField: propName(fromProp),
+        foreignField: propName(toProp),
+      }),
+      pipeline,
+      as: key,
+    },
+  };
+
+  const transform = protocol.getTransform(joinColl);
+  const enhance = (doc) => (isFunc(transform) ? transform(doc) : doc);
+
+  function finalize(doc) {
+    const joinedDocs = (doc[key] || []).map((joinedDoc) =>
+      enhance(nested.finalize(joinedDoc))
+    );
+
+    const raw = single ? joinedDocs[0] : joinedDocs;
+    const afterPostFetch = isFunc(postFetch) ? postFetch(raw, doc) : raw;
+    return { ...doc, [key]: afterPostFetch };
+  }
+
+  return { stage, finalize };
+}
+
+/* A join can be compiled into a `$lookup` if it's not recursive, aggregated,
+ * polymorphic nor through a junction collection, has no function selector
+ * and its collection is served by the same protocol. */
+function isCompilable(Coll, join) {
+  const { Coll: joinColl, on, aggregate, through, polymorphic } = join;
+  if (joinColl === Coll || isFunc(on) || aggregate || through || polymorphic) {
+    return false;
+  }
+
+  const protocol = getProtocolFor(Coll);
+  if (getProtocolFor(joinColl) !== protocol) return false;
+
+  return !!protocol.getName(joinColl);
+}
+
+/* Like separate fetches, ensure toProp is fetched on joined docs
+ * when fields are restricted. */
+function withToProp(joinColl, fields, toProp) {
+  const toName = propName(toProp);
+  if (!isObj(fields) || toName === "_id") return fields;
+
+  const { _: own } = dispatchFields(fields, getJoins(joinColl));
+  const allOwnIncluded = !own || Object.keys(own).length <= 0;
+  return allOwnIncluded ? fields : { ...fields, [toName]: 1 };
+}
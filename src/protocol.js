@@ -5,14 +5,25 @@ import EJSON from "ejson";
  * All methods may return synchronously or as a Promise.
  *
  * @typedef {Object} Protocol
+ * @property {(Coll:any, pipeline:Object[], options?:Object) => Array|Promise<Array>} [aggregate]
+ *   Optional. Run an aggregation pipeline and return the resulting documents.
+ * @property {(Coll:any, operations:Object[], options?:Object) => Object|Promise<Object>} [bulkWrite]
+ *   Optional. Run ordered write operations (MongoDB `bulkWrite` format) and return
+ *   a `BulkWriteResult`-like summary, including `insertedIds` and `upsertedIds` by operation index.
  * @property {(Coll:any, selector?:Object, options?:Object) => number|Promise<number>} count
  *   Count documents matching selector.
+ * @property {(Coll:any, key:string, selector?:Object, options?:Object) => Array|Promise<Array>} [distinct]
+ *   Optional. Return the distinct values of a field among matching documents.
  * @property {(Coll:any, selector?:Object, options?:Object) => Array|Promise<Array>} findList
  *   Return an array of documents for selector/options.
  * @property {(Coll:any, selector?:Object, callbacks?:Object, options?:Object) => {stop:Function}|Promise<{stop:Function}>} observe
  *   Observe matching documents and call change callbacks. Must return a handle with `stop()`.
  * @property {(value:any) => string} stringify
- *   Stable stringifier used for internal query keys (defaults to EJSON canonical stringify).
+ *   Stable stringifier used for internal query keys and pagination cursors
+ *   (defaults to EJSON canonical stringify).
+ * @property {(text:string) => any} [parse]
+ *   Optional. Parse a string built by `stringify`, restoring the types of its values
+ *   (defaults to EJSON parse).
  * @property {(Coll:any) => ((doc:any)=>any)|undefined} getTransform
  *   Optional per-collection transform applied to each fetched document.
  * @property {(fn:Function) => Function} [bindEnvironment]
@@ -20,10 +31,21 @@ import EJSON from "ejson";
  *   (for example Meteor Fibers with Meteor.bindEnvironment).
  * @property {(Coll:any, doc:Object, options?:Object) => any|Promise<any>} insert
  *   Insert a document and return the inserted _id (or driver-specific result).
+ * @property {(Coll:any, docs:Object[], options?:Object) => Array|Promise<Array>} [insertMany]
+ *   Optional. Insert documents and return their _ids, in the same order.
  * @property {(Coll:any, selector:Object, options?:Object) => number|Promise<number>} remove
  *   Remove matching documents and return the number removed.
+ * @property {(Coll:any, selector:Object, doc:Object, options?:Object) => number|Promise<number>} [replaceOne]
+ *   Optional. Replace a single matching document and return the number replaced.
+ * @property {(Coll:any) => Object|Promise<Object>} [startSession]
+ *   Optional. Start a session for the client of a collection, used by `withTransaction`. It must implement
+ *   `startTransaction(options)`, `commitTransaction()`, `abortTransaction()` and `endSession()`
+ *   (like the MongoDB driver's `ClientSession`), and other methods must honor the `session` option.
  * @property {(Coll:any, selector:Object, modifier:Object, options?:Object) => number|Promise<number>} update
  *   Update matching documents and return the number modified.
+ * @property {(Coll:any, selector:Object, modifier:Object, options?:Object) => {numberAffected:number, insertedId?:any}|Promise<{numberAffected:number, insertedId?:any}>} [upsert]
+ *   Optional. Update matching documents (a single one unless `multi`) or insert one if none matches.
+ *   `insertedId` is only defined if a document was inserted.
  */
 
 /**
@@ -33,11 +55,29 @@ import EJSON from "ejson";
  * @internal
  */
 const DEFAULT_PROTOCOL = {
+  /* Optional. Run an aggregation pipeline
+   * and return the resulting documents. */
+  aggregate(/* Coll, pipeline = [], options = {} */) {
+    throw new Error(`'aggregate' method must be defined with 'setProtocol'.`);
+  },
+
+  /* Optional. Run ordered write operations
+   * and return a summary of their results. */
+  bulkWrite(/* Coll, operations = [], options = {} */) {
+    throw new Error(`'bulkWrite' method must be defined with 'setProtocol'.`);
+  },
+
   /* Return a documents count */
   count(/* Coll, selector = {}, options = {} */) {
     throw new Error(`'count' method must be defined with 'setProtocol'.`);
   },
 
+  /* Optional. Return the distinct values
+   * of a field among matching documents. */
+  distinct(/* Coll, key, selector = {}, options = {} */) {
+    throw new Error(`'distinct' method must be defined with 'setProtocol'.`);
+  },
+
   /* Return a list of documents. */
   findList(/* Coll, selector = {}, options = {} */) {
     throw new Error(`'findList' method must be defined with 'setProtocol'.`);
@@ -66,18 +106,42 @@ const DEFAULT_PROTOCOL = {
     throw new Error(`'insert' method must be defined with 'setProtocol'.`);
   },
 
+  /* Optional. Insert documents in a collection
+   * and return their _ids. */
+  insertMany(/* Coll, docs, options */) {
+    throw new Error(`'insertMany' method must be defined with 'setProtocol'.`);
+  },
+
   /* Observe documents in a collection and react to modifications
    * with provided callbacks `{ added(id, fields), changed(id, fields), removed(id) }` */
   observe(/* Coll, selector = {}, callbacks = {}, options = {} */) {
     throw new Error(`'observe' method must be defined with 'setProtocol'.`);
   },
 
+  /* Parse content stringified with `stringify`. */
+  parse(text) {
+    return EJSON.parse(text);
+  },
+
   /* Remove documents in a collection
    * and return the number of removed documents. */
   remove(/* Coll, selector, options */) {
     throw new Error(`'remove' method must be defined with 'setProtocol'.`);
   },
 
+  /* Optional. Replace a single document in a collection
+   * and return the number of replaced documents. */
+  replaceOne(/* Coll, selector, doc, options */) {
+    throw new Error(`'replaceOne' method must be defined with 'setProtocol'.`);
+  },
+
+  /* Optional. Start a session to run transactions in. */
+  startSession(/* Coll */) {
+    throw new Error(
+      `'startSession' method must be defined with 'setProtocol'.`
+    );
+  },
+
   /* Stringify content. Use EJSON by default to handle Date and Binary. */
   stringify(x) {
     return EJSON.stringify(x, { canonical: true });
@@ -88,6 +152,12 @@ const DEFAULT_PROTOCOL = {
   update(/* Coll, selector, modifier, options */) {
     throw new Error(`'update' method must be defined with 'setProtocol'.`);
   },
+
+  /* Optional. Update documents in a collection, or insert one if none matches.
+   * Return `{ numberAffected, insertedId }`. */
+  upsert(/* Coll, selector, modifier, options */) {
+    throw new Error(`'upsert' method must be defined with 'setProtocol'.`);
+  },
 };
 
 /**
@@ -98,6 +168,97 @@ const DEFAULT_PROTOCOL = {
  */
 let protocol = DEFAULT_PROTOCOL;
 
+/**
+ * Protocols bound to specific collections with `bindProtocol`.
+ * Weakly held so that bindings don't keep discarded collections alive.
+ * @type {WeakMap<Object, Protocol>}
+ * @internal
+ */
+const protocolsByColl = new WeakMap();
+
+/**
+ * Optional function resolving a protocol from a collection instance.
+ * Installed with `setProtocolResolver`.
+ * @type {((Coll:any) => Partial<Protocol>|undefined|null)|null}
+ * @internal
+ */
+let protocolResolver = null;
+
+/**
+ * Complete protocols derived from resolver results, cached by result
+ * so that the same methods object always resolves to the same protocol.
+ * @type {WeakMap<Partial<Protocol>, Protocol>}
+ * @internal
+ */
+const resolvedProtocols = new WeakMap();
+
+/**
+ * Protocol methods that middlewares are applied to.
+ * @type {string[]}
+ * @internal
+ */
+const MIDDLEWARE_METHODS = [
+  "aggregate",
+  "bulkWrite",
+  "count",
+  "distinct",
+  "findList",
+  "insert",
+  "insertMany",
+  "observe",
+  "remove",
+  "replaceOne",
+  "update",
+  "upsert",
+];
+
+/**
+ * Middlewares registered with `useProtocolMiddleware`, outermost first.
+ * @type {ProtocolMiddleware[]}
+ * @internal
+ */
+let middlewares = [];
+
+/**
+ * Built-in middlewares by name, registered on first use of their feature.
+ * Map<name, ProtocolMiddleware>
+ * @type {Map<string, ProtocolMiddleware>}
+ * @internal
+ */
+const builtInMiddlewares = new Map();
+
+/**
+ * Positions of built-in middlewares, outermost first. They run inside the
+ * middlewares registered with `useProtocolMiddleware`, whatever the order
+ * in which they are registered.
+ * @type {string[]}
+ * @internal
+ */
+const BUILT_IN_MIDDLEWARES = ["transaction", "loader"];
+
+/**
+ * Protocols wrapped with the current middlewares, cached by protocol.
+ * Replaced whenever the middlewares list changes.
+ * @type {WeakMap<Protocol, Protocol>}
+ * @internal
+ */
+let wrappedProtocols = new WeakMap();
+
+/**
+ * Context passed to protocol middlewares.
+ * @typedef {Object} ProtocolMiddlewareContext
+ * @property {string} method - Name of the intercepted protocol method (ex: 'findList').
+ * @property {any[]} args - Arguments of the call. The first one is the collection.
+ * @property {*} Coll - The collection instance.
+ * @property {Protocol} protocol - The protocol serving the collection.
+ */
+
+/**
+ * Function intercepting protocol calls. Must call `next()` (optionally with
+ * replaced arguments) to proceed and return its result, which may be a Promise.
+ * @typedef {(ctx: ProtocolMiddlewareContext, next: (args?: any[]) => any) => any} ProtocolMiddleware
+ */
+
 /**
  * Get the current protocol or a derived view of it.
  *
@@ -141,3 +302,189 @@ export function getProtocol(overload) {
 export function setProtocol(methods = {}) {
   protocol = { ...DEFAULT_PROTOCOL, ...methods };
 }
+
+/**
+ * Get the protocol serving a collection.
+ *
+ * Resolution order:
+ * 1) Protocol bound to the collection with `bindProtocol`;
+ * 2) Protocol returned by the resolver installed with `setProtocolResolver`;
+ * 3) Active protocol installed with `setProtocol`.
+ *
+ * @param {*} Coll - The collection instance.
+ * @returns {Protocol}
+ * @internal
+ */
+export function getProtocolFor(Coll) {
+  return applyMiddlewares(resolveProtocol(Coll));
+}
+
+/**
+ * Whether the protocol serving a collection implements a method,
+ * rather than relying on the default one.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {string} method - Name of the protocol method.
+ * @returns {boolean}
+ * @internal
+ */
+export function hasProtocolMethod(Coll, method) {
+  return resolveProtocol(Coll)[method] !== DEFAULT_PROTOCOL[method];
+}
+
+/**
+ * Resolve the protocol serving a collection, without middlewares.
+ *
+ * @param {*} Coll - The collection instance.
+ * @returns {Protocol}
+ * @internal
+ */
+export function resolveProtocol(Coll) {
+  const bound = protocolsByColl.get(Coll);
+  if (bound) return bound;
+
+  const resolved = protocolResolver?.(Coll);
+  if (!resolved || typeof resolved !== "object") return protocol;
+
+  const cached = resolvedProtocols.get(resolved);
+  if (cached) return cached;
+
+  const completed = { ...DEFAULT_PROTOCOL, ...resolved };
+  resolvedProtocols.set(resolved, completed);
+  return completed;
+}
+
+/**
+ * Bind a protocol to specific collections, overriding the active protocol
+ * (and the resolver) for them. Methods are merged over DEFAULT_PROTOCOL.
+ * Allows joins and publications to span collections served by different adapters.
+ *
+ * @param {Object|Array<Object>} Colls - A collection instance or a list of them.
+ * @param {Partial<Protocol>|null|undefined} methods - Implementation methods to bind. A falsy value unbinds the collections.
+ * @example
+ * setProtocol(protocols.meteorAsync);
+ * bindProtocol([Invoices, Payments], protocols.node);
+ */
+export function bindProtocol(Colls, methods) {
+  const list = Array.isArray(Colls) ? Colls : [Colls];
+
+  if (list.some((Coll) => Object(Coll) !== Coll)) {
+    throw new TypeError("'bindProtocol' collections must be objects.");
+  }
+
+  if (!methods) {
+    list.forEach((Coll) => protocolsByColl.delete(Coll));
+    return;
+  }
+
+  if (typeof methods !== "object") {
+    throw new TypeError("'bindProtocol' methods must be an object.");
+  }
+
+  const bound = { ...DEFAULT_PROTOCOL, ...methods };
+  list.forEach((Coll) => protocolsByColl.set(Coll, bound));
+}
+
+/**
+ * Install a function resolving the protocol of a collection from its instance.
+ * It is used for collections without a bound protocol. When it returns a falsy
+ * value, the active protocol is used. Pass a falsy resolver to remove it.
+ *
+ * @param {((Coll:any) => Partial<Protocol>|undefined|null)|null} resolver
+ * @example
+ * import { Collection } from "mongodb";
+ * setProtocolResolver((Coll) =>
+ *   Coll instanceof Collection ? protocols.node : undefined
+ * );
+ */
+export function setProtocolResolver(resolver) {
+  if (resolver && typeof resolver !== "function") {
+    throw new TypeError("Protocol resolver must be a function.");
+  }
+
+  protocolResolver = resolver || null;
+}
+
+/**
+ * Register a middleware intercepting every protocol call of operation methods
+ * (aggregate, count, distinct, findList, observe and write methods), whatever the protocol.
+ * Middlewares are composed in registration order, the first one being the outermost.
+ * Useful for cross-cutting concerns such as logging, timing, query rewriting or retries.
+ *
+ * @param {ProtocolMiddleware} middleware
+ * @returns {() => void} Function removing the middleware.
+ * @throws {TypeError} If middleware is not a function.
+ * @example
+ * // With an async protocol
+ * const stop = useProtocolMiddleware(async ({ method, Coll, protocol }, next) => {
+ *   const start = Date.now();
+ *   const res = await next();
+ *   console.log(method, protocol.getName(Coll), Date.now() - start);
+ *   return res;
+ * });
+ */
+export function useProtocolMiddleware(middleware) {
+  if (typeof middleware !== "function") {
+    throw new TypeError("Protocol middleware must be a function.");
+  }
+
+  middlewares = [...middlewares, middleware];
+  wrappedProtocols = new WeakMap();
+
+  return function removeMiddleware() {
+    if (!middlewares.includes(middleware)) return;
+    middlewares = middlewares.filter((m) => m !== middleware);
+    wrappedProtocols = new WeakMap();
+  };
+}
+
+/**
+ * Register a built-in middleware at its position in the chain (see BUILT_IN_MIDDLEWARES).
+ * Registering it again is a no-op.
+ *
+ * @param {string} name - Name of the built-in middleware.
+ * @param {ProtocolMiddleware} middleware
+ * @internal
+ */
+export function registerBuiltInMiddleware(name, middleware) {
+  if (!BUILT_IN_MIDDLEWARES.includes(name)) {
+    throw new Error(`Unknown built-in middleware '${name}'.`);
+  }
+
+  if (builtInMiddlewares.get(name) === middleware) return;
+
+  builtInMiddlewares.set(name, middleware);
+  wrappedProtocols = new WeakMap();
+}
+
+/* Return a version of the protocol whose operation methods
+ * run through the registered middlewares. */
+function applyMiddlewares(baseProtocol) {
+  /* Freeze the list so that calls in progress are not affected by changes */
+  const chain = [
+    ...middlewares,
+    ...BUILT_IN_MIDDLEWARES.map((name) => builtInMiddlewares.get(name)).filter(
+      Boolean
+    ),
+  ];
+
+  if (!chain.length) return baseProtocol;
+
+  const cached = wrappedProtocols.get(baseProtocol);
+  if (cached) return cached;
+
+  const wrappedMethods = MIDDLEWARE_METHODS.map((method) => {
+    function run(index, args) {
+      if (index >= chain.length) return baseProtocol[method](...args);
+
+      const ctx = { method, args, Coll: args[0], protocol: baseProtocol };
+      return chain[index](ctx, (nextArgs = args) => run(index + 1, nextArgs));
+    }
+
+    return [method, (...args) => run(0, args)];
+  });
+
+  const wrapped = { ...baseProtocol, ...Object.fromEntries(wrappedMethods) };
+  wrappedProtocols.set(baseProtocol, wrapped);
+  return wrapped;
+}
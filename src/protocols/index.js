@@ -1,3 +1,4 @@
+export { default as memory } from "./memory";
 export { default as meteorAsync } from "./meteorAsync";
 export { default as meteorSync } from "./meteorSync";
 export { default as node } from "./node";
@@ -0,0 +1,587 @@
+import EJSON from "ejson";
+import { nanoid } from "nanoid/non-secure";
+import {
+  compareValues,
+  isArr,
+  isFunc,
+  isNil,
+  isObj,
+  lookupBranches,
+  sortDocs,
+} from "../util";
+import {
+  applyModifier,
+  matchSelector,
+  projectDoc,
+  selectorToDoc,
+  valuesEqual,
+} from "./memoryHelpers";
+import { createObservedSet, idKey } from "./observeHelpers";
+
+/* Documents of each collection, keyed by collection object.
+ * WeakMap<Coll, Map<idKey, doc>> */
+const stores = new WeakMap();
+
+/* Collections by name, to resolve `$lookup` stages.
+ * Map<name, Coll> */
+const collsByName = new Map();
+
+/* Refresh functions of active observers, keyed by collection object.
+ * WeakMap<Coll, Set<Function>> */
+const observers = new WeakMap();
+
+/* Documents written in each pending transaction, as they were before their
+ * first write in it (undefined if they didn't exist), keyed by session.
+ * WeakMap<session, Map<Coll, Map<idKey, doc|undefined>>> */
+const undoLogsBySession = new WeakMap();
+
+/**
+ * In-memory reference protocol.
+ * Any object can be used as a collection (ex: `{ name: "users" }`):
+ * its documents are kept in a registry, leaving the object untouched.
+ *
+ * Useful for unit tests and local development without a database.
+ * All methods are synchronous, so it works with sync and async code paths.
+ */
+export default {
+  /**
+   * Run an aggregation pipeline. Supported stages are `$match`, `$sort`,
+   * `$skip`, `$limit`, `$project`, `$count`, `$unwind` (top-level fields),
+   * `$group` (with field path or null `_id` and `$sum`, `$avg`, `$min`, `$max`,
+   * `$first`, `$last`, `$push` and `$addToSet` accumulators) and `$lookup`
+   * (with `localField` and `foreignField` and/or `pipeline`).
+   * `$lookup` resolves collections by name.
+   */
+  aggregate(Coll, pipeline = []) {
+    return runPipeline(Array.from(getStore(Coll).values()), pipeline);
+  },
+
+  /**
+   * Run ordered write operations (`insertOne`, `updateOne`, `updateMany`,
+   * `replaceOne`, `deleteOne`, `deleteMany`) and return a summary shaped
+   * like the MongoDB driver's `BulkWriteResult`. Stops at the first error.
+   */
+  bulkWrite(Coll, operations = [], options = {}) {
+    const { session } = options || {};
+    return operations.reduce(
+      (result, operation, index) => {
+        const [type] = Object.keys(operation || {});
+        const { document, filter, update, replacement, upsert } =
+          operation[type] || {};
+
+        if (type === "insertOne") {
+          const _id = insertDoc(Coll, document, session);
+          return {
+            ...result,
+            insertedCount: result.insertedCount + 1,
+            insertedIds: { ...result.insertedIds, [index]: _id },
+          };
+        }
+
+        if (type === "deleteOne" || type === "deleteMany") {
+          const multi = type === "deleteMany";
+          const deleted = removeDocs(Coll, filter, { multi, session });
+          return { ...result, deletedCount: result.deletedCount + deleted };
+        }
+
+        if (!["updateOne", "updateMany", "replaceOne"].includes(type)) {
+          throw new Error(`Unknown bulk write operation '${type}'.`);
+        }
+
+        const { matchedCount, modifiedCount, upsertedId } = updateDocs(
+          Coll,
+          filter,
+          type === "replaceOne" ? replacement : update,
+          { multi: type === "updateMany", upsert, session }
+        );
+
+        return {
+          ...result,
+          matchedCount: result.matchedCount + matchedCount,
+          modifiedCount: result.modifiedCount + modifiedCount,
+          ...(upsertedId !== undefined && {
+            upsertedCount: result.upsertedCount + 1,
+            upsertedIds: { ...result.upsertedIds, [index]: upsertedId },
+          }),
+        };
+      },
+      {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: {},
+        upsertedIds: {},
+      }
+    );
+  },
+
+  /**
+   * Count documents matching selector. Honors `skip` and `limit`.
+   */
+  count(Coll, selector = {}, options = {}) {
+    return query(Coll, selector, { ...options, fields: { _id: 1 } }).length;
+  },
+
+  /**
+   * Return the distinct values of a field among matching documents.
+   * Like MongoDB, array values are unwound and missing values ignored.
+   */
+  distinct(Coll, key, selector = {}) {
+    const values = query(Coll, selector).flatMap((doc) =>
+      lookupBranches(doc, key).flatMap((value) =>
+        isArr(value) ? value : [value]
+      )
+    );
+
+    return ACCUMULATORS.$addToSet(values);
+  },
+
+  /**
+   * Return an array of documents for selector/options.
+   * Honors `fields`, `sort`, `skip` and `limit`.
+   */
+  findList(Coll, selector = {}, options = {}) {
+    return query(Coll, selector, options);
+  },
+
+  /**
+   * Return the collection's name. Defaults to empty string.
+   */
+  getName: (Coll) => Coll?.name || "",
+
+  /**
+   * Optional per-collection transform; expose Coll.transform if present.
+   */
+  getTransform(Coll) {
+    return isFunc(Coll?.transform) ? Coll.transform : undefined;
+  },
+
+  /**
+   * Insert a document and return its _id (generated if missing).
+   */
+  insert(Coll, doc, options = {}) {
+    return insertDoc(Coll, doc, options?.session);
+  },
+
+  /**
+   * Insert documents in order and return their _ids.
+   */
+  insertMany(Coll, docs = [], options = {}) {
+    return docs.map((doc) => insertDoc(Coll, doc, options?.session));
+  },
+
+  /**
+   * Observe matching documents with `added/changed/removed` callbacks.
+   * Initial documents are added before returning the handle.
+   */
+  observe(Coll, selector = {}, callbacks = {}, options = {}) {
+    const observedSet = createObservedSet(callbacks);
+
+    /* Writes made from callbacks trigger a new diff
+     * only once the current one is complete. */
+    let refreshing = false;
+    let pending = false;
+
+    function refresh() {
+      if (refreshing) {
+        pending = true;
+        return;
+      }
+
+      refreshing = true;
+      try {
+        do {
+          pending = false;
+          diff();
+        } while (pending);
+      } finally {
+        refreshing = false;
+      }
+    }
+
+    function diff() {
+      observedSet.reset(query(Coll, selector, options));
+    }
+
+    refresh();
+
+    const collObservers = observers.get(Coll) || new Set();
+    collObservers.add(refresh);
+    observers.set(Coll, collObservers);
+
+    return {
+      stop() {
+        collObservers.delete(refresh);
+      },
+    };
+  },
+
+  /**
+   * Remove documents. Honors options.multi (default true).
+   */
+  remove(Coll, selector = {}, options = {}) {
+    const { multi = true, session } = options || {};
+    return removeDocs(Coll, selector, { multi, session });
+  },
+
+  /**
+   * Replace a single document, keeping its _id. Honors options.upsert.
+   * Returns the number of replaced (or upserted) documents.
+   */
+  replaceOne(Coll, selector = {}, doc = {}, options = {}) {
+    const { upsert = false, session } = options || {};
+    const { modifiedCount, upsertedId } = updateDocs(Coll, selector, doc, {
+      multi: false,
+      upsert,
+      session,
+    });
+
+    return upsertedId === undefined ? modifiedCount : 1;
+  },
+
+  /**
+   * Start a session for `withTransaction`, valid for all memory collections.
+   * Aborting a transaction restores the documents written with its session,
+   * leaving other writes untouched.
+   * Transactions are not isolated: pending writes are visible to other readers
+   * until aborted, and aborting restores documents written with the session
+   * even if they were written again since.
+   */
+  startSession() {
+    const session = {
+      startTransaction() {
+        undoLogsBySession.set(session, new Map());
+      },
+      commitTransaction() {
+        undoLogsBySession.delete(session);
+      },
+      abortTransaction() {
+        const undoLogs = undoLogsBySession.get(session);
+        undoLogsBySession.delete(session);
+
+        undoLogs?.forEach((undoLog, Coll) => {
+          const store = getStore(Coll);
+          undoLog.forEach((prevDoc, key) => {
+            if (prevDoc === undefined) store.delete(key);
+            else store.set(key, prevDoc);
+          });
+          notify(Coll);
+        });
+      },
+      endSession() {
+        session.abortTransaction();
+      },
+    };
+
+    return session;
+  },
+
+  /**
+   * Update documents. Honors options.multi (default true) and options.upsert.
+   * Returns the number of modified (or upserted) documents.
+   */
+  update(Coll, selector = {}, modifier = {}, options = {}) {
+    const { multi = true, upsert = false, session } = options || {};
+    const { modifiedCount, upsertedId } = updateDocs(Coll, selector, modifier, {
+      multi,
+      upsert,
+      session,
+    });
+
+    return upsertedId === undefined ? modifiedCount : 1;
+  },
+
+  /**
+   * Update documents, or insert one built from the selector and modifier
+   * if none matches. Honors options.multi (default false).
+   * Returns `{ numberAffected, insertedId }`, `insertedId` being only
+   * defined if a document was inserted.
+   */
+  upsert(Coll, selector = {}, modifier = {}, options = {}) {
+    const { multi = false, session } = options || {};
+    const { modifiedCount, upsertedId } = updateDocs(Coll, selector, modifier, {
+      multi,
+      upsert: true,
+      session,
+    });
+
+    return upsertedId === undefined
+      ? { numberAffected: modifiedCount }
+      : { numberAffected: 1, insertedId: upsertedId };
+  },
+};
+
+/* Set (or delete if undefined) a document of a collection. The first time it
+ * is written in the transaction of `session`, its previous version is logged
+ * to be restored on abort. */
+function writeDoc(Coll, key, doc, session) {
+  const store = getStore(Coll);
+  const undoLogs = undoLogsBySession.get(session);
+
+  if (undoLogs) {
+    const undoLog = undoLogs.get(Coll) || new Map();
+    if (!undoLog.has(key)) undoLog.set(key, store.get(key));
+    undoLogs.set(Coll, undoLog);
+  }
+
+  if (doc === undefined) store.delete(key);
+  else store.set(key, doc);
+}
+
+/* Insert a copy of a document and return its _id (generated if missing). */
+function insertDoc(Coll, doc, session) {
+  const store = getStore(Coll);
+  const _id = doc._id ?? nanoid();
+
+  if (store.has(idKey(_id))) {
+    throw new Error(`Duplicate _id '${idKey(_id)}' in '${Coll.name || ""}'.`);
+  }
+
+  writeDoc(Coll, idKey(_id), { ...EJSON.clone(doc), _id }, session);
+  notify(Coll);
+  return _id;
+}
+
+/* Remove matching documents and return their count. */
+function removeDocs(Coll, selector = {}, { multi, session }) {
+  const targets = query(Coll, selector, {
+    fields: { _id: 1 },
+    limit: multi ? undefined : 1,
+  });
+
+  targets.forEach(({ _id }) => writeDoc(Coll, idKey(_id), undefined, session));
+  if (targets.length) notify(Coll);
+  return targets.length;
+}
+
+/* Apply a modifier (or replacement) to matching documents, or upsert one.
+ * Return the matched and modified counts, and the upserted _id if any. */
+function updateDocs(
+  Coll,
+  selector = {},
+  modifier = {},
+  { multi, upsert, session }
+) {
+  const store = getStore(Coll);
+
+  const targets = query(Coll, selector, {
+    fields: { _id: 1 },
+    limit: multi ? undefined : 1,
+  });
+
+  if (!targets.length && upsert) {
+    const baseDoc = selectorToDoc(selector);
+    const doc = applyModifier(baseDoc, modifier, { inserting: true });
+    const _id = doc._id ?? nanoid();
+    writeDoc(Coll, idKey(_id), { ...doc, _id }, session);
+    notify(Coll);
+    return { matchedCount: 0, modifiedCount: 0, upsertedId: _id };
+  }
+
+  const modifiedCount = targets.reduce((count, { _id }) => {
+    const prevDoc = store.get(idKey(_id));
+    const nextDoc = applyModifier(prevDoc, modifier);
+    if (valuesEqual(prevDoc, nextDoc)) return count;
+
+    writeDoc(Coll, idKey(_id), nextDoc, session);
+    return count + 1;
+  }, 0);
+
+  if (modifiedCount) notify(Coll);
+  return { matchedCount: targets.length, modifiedCount, upsertedId: undefined };
+}
+
+/* Return the documents store of a collection, creating it if necessary. */
+function getStore(Coll) {
+  if (!isObj(Coll) && !isFunc(Coll)) {
+    throw new TypeError("Memory collections must be objects.");
+  }
+
+  const existing = stores.get(Coll);
+  if (existing) return existing;
+
+  const store = new Map();
+  stores.set(Coll, store);
+  if (Coll.name) collsByName.set(Coll.name, Coll);
+  return store;
+}
+
+/* Find, sort, paginate and project documents of a collection. */
+function query(Coll, selector, { fields, sort, skip = 0, limit } = {}) {
+  const matching = Array.from(getStore(Coll).values()).filter((doc) =>
+    matchSelector(selector, doc)
+  );
+
+  const sorted = sortDocs(sort, matching);
+  const end = limit ? skip + limit : undefined;
+
+  return sorted.slice(skip, end).map((doc) => projectDoc(fields, doc));
+}
+
+/* Aggregation stages implementations: (docs, arg) => docs */
+const STAGES = {
+  $match: (docs, selector) =>
+    docs.filter((doc) => matchSelector(selector, doc)),
+  $sort: (docs, sort) => sortDocs(sort, docs),
+  $skip: (docs, skip) => docs.slice(skip),
+  $limit: (docs, limit) => docs.slice(0, limit),
+  $project: (docs, fields) => docs.map((doc) => projectDoc(fields, doc)),
+  $count: (docs, key) => (docs.length ? [{ [key]: docs.length }] : []),
+  $group: groupStage,
+  $lookup: lookupStage,
+  $unwind: unwindStage,
+};
+
+/* Group accumulators: (values of the expression for each grouped doc) => result */
+const ACCUMULATORS = {
+  $sum: (values) =>
+    values.reduce((sum, v) => (typeof v === "number" ? sum + v : sum), 0),
+  $avg: (values) => {
+    const numbers = values.filter((v) => typeof v === "number");
+    if (!numbers.length) return null;
+    return numbers.reduce((sum, v) => sum + v, 0) / numbers.length;
+  },
+  $min: (values) => extremum(values, (comparison) => comparison < 0),
+  $max: (values) => extremum(values, (comparison) => comparison > 0),
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values[values.length - 1] ?? null,
+  $push: (values) => values.filter((v) => v !== undefined),
+  $addToSet: (values) =>
+    values.reduce(
+      (acc, v) =>
+        v === undefined || acc.some((x) => valuesEqual(x, v))
+          ? acc
+          : [...acc, v],
+      []
+    ),
+};
+
+/* Run aggregation stages in sequence on copies of the documents. */
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce(
+    (acc, stage) => {
+      const [name, ...others] = Object.keys(stage || {});
+      if (!name || others.length) {
+        throw new Error("Each pipeline stage must have a single operator.");
+      }
+
+      if (!STAGES[name]) {
+        throw new Error(`Unsupported pipeline stage '${name}'.`);
+      }
+
+      return STAGES[name](acc, stage[name]);
+    },
+    docs.map((doc) => EJSON.clone(doc))
+  );
+}
+
+/* Attach foreign documents under `as`. Like MongoDB, documents without
+ * a `localField` value match foreign documents without a `foreignField` value. */
+function lookupStage(
+  docs,
+  { from, localField, foreignField, pipeline = [], as, ...rest }
+) {
+  if (Object.keys(rest).length) {
+    throw new Error(
+      `Unsupported '$lookup' options '${Object.keys(rest).join("', '")}'.`
+    );
+  }
+
+  const FromColl = collsByName.get(from);
+  const foreignDocs = FromColl ? Array.from(getStore(FromColl).values()) : [];
+
+  return docs.map((doc) => {
+    if (!localField)
+      return { ...doc, [as]: runPipeline(foreignDocs, pipeline) };
+
+    const localValues = lookupValues(doc, localField);
+    const matching = foreignDocs.filter((foreignDoc) =>
+      lookupValues(foreignDoc, foreignField).some((foreignValue) =>
+        localValues.some((localValue) => valuesEqual(localValue, foreignValue))
+      )
+    );
+
+    return { ...doc, [as]: runPipeline(matching, pipeline) };
+  });
+}
+
+/* Group documents by the `_id` expression and compute accumulated fields. */
+function groupStage(docs, { _id: idExpr, ...fields }) {
+  const entries = Object.entries(fields).map(([key, accumulator]) => {
+    const [op, ...others] = Object.keys(accumulator || {});
+    if (!ACCUMULATORS[op] || others.length) {
+      throw new Error(`Unsupported '$group' accumulator for '${key}'.`);
+    }
+    return [key, ACCUMULATORS[op], accumulator[op]];
+  });
+
+  // Map<idKey, { _id, docs }>
+  const groups = docs.reduce((acc, doc) => {
+    const _id = evaluate(idExpr, doc) ?? null;
+    const key = idKey(_id);
+    const group = acc.get(key) || { _id, docs: [] };
+    group.docs.push(doc);
+    return acc.set(key, group);
+  }, new Map());
+
+  return Array.from(groups.values()).map(({ _id, docs: groupDocs }) => {
+    const values = entries.map(([key, accumulate, expr]) => [
+      key,
+      accumulate(groupDocs.map((doc) => evaluate(expr, doc))),
+    ]);
+    return { _id, ...Object.fromEntries(values) };
+  });
+}
+
+/* Output a document for each element of a top-level array field. */
+function unwindStage(docs, arg) {
+  const { path, preserveNullAndEmptyArrays = false } = isObj(arg)
+    ? arg
+    : { path: arg };
+
+  const key = typeof path === "string" && path.startsWith("$") && path.slice(1);
+  if (!key || key.includes(".")) {
+    throw new Error("'$unwind' only supports top-level field paths.");
+  }
+
+  return docs.flatMap((doc) => {
+    const value = doc[key];
+    if (isArr(value) && value.length) {
+      return value.map((element) => ({ ...doc, [key]: element }));
+    }
+
+    if (!isNil(value) && !isArr(value)) return [doc];
+    return preserveNullAndEmptyArrays ? [doc] : [];
+  });
+}
+
+/* Evaluate a literal or a field path expression (ex: "$profile.age"). */
+function evaluate(expr, doc) {
+  if (typeof expr !== "string" || !expr.startsWith("$")) return expr;
+
+  const values = lookupBranches(doc, expr.slice(1));
+  return values.length > 1 ? values : values[0];
+}
+
+/* Lowest or highest non-nil value, according to `isBetter(comparison)`. */
+function extremum(values, isBetter) {
+  return values.reduce((acc, v) => {
+    if (isNil(v)) return acc;
+    return isNil(acc) || isBetter(compareValues(v, acc)) ? v : acc;
+  }, null);
+}
+
+/* Values of a path, flattening arrays. Missing values are null. */
+function lookupValues(doc, path) {
+  const values = lookupBranches(doc, path).flatMap((value) =>
+    isArr(value) ? value : [value]
+  );
+  return values.length ? values.map((value) => value ?? null) : [null];
+}
+
+/* Run the refresh function of each observer of a collection. */
+function notify(Coll) {
+  observers.get(Coll)?.forEach((refresh) => refresh());
+}
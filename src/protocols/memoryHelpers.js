@@ -0,0 +1,518 @@
+import EJSON from "ejson";
+import {
+  compareValues,
+  hasOwn,
+  isArr,
+  isNil,
+  isObj,
+  lookupBranches,
+  sortDocs,
+  typeOf,
+  typeRank,
+} from "../util";
+
+/* === SELECTORS === */
+
+/**
+ * Check if a document matches a MongoDB-style selector.
+ *
+ * Supported:
+ * - Implicit equality, including array membership and dot-notation paths
+ *   traversing arrays of subdocuments
+ * - Field operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists,
+ *   $regex (with $options), $size, $all, $elemMatch, $not, $mod
+ * - Logical operators: $and, $or, $nor
+ * - A string selector is interpreted as an `_id`.
+ *
+ * @param {Object|string|undefined} selector
+ * @param {Object} doc
+ * @returns {boolean}
+ * @throws {Error} If the selector uses an unsupported operator.
+ */
+export function matchSelector(selector, doc) {
+  if (isNil(selector)) return true;
+  if (!isObj(selector)) return valuesEqual(doc._id, selector);
+
+  return Object.entries(selector).every(([key, cond]) => {
+    if (key === "$and") return cond.every((sub) => matchSelector(sub, doc));
+    if (key === "$or") return cond.some((sub) => matchSelector(sub, doc));
+    if (key === "$nor") return !cond.some((sub) => matchSelector(sub, doc));
+    if (key === "$comment") return true;
+
+    if (key.startsWith("$")) {
+      throw new Error(`Selector operator '${key}' is not supported.`);
+    }
+
+    return matchBranches(lookupBranches(doc, key), cond);
+  });
+}
+
+/* Check if the values reached by a path match a field condition. */
+function matchBranches(branches, cond) {
+  if (isOperatorObj(cond)) {
+    return Object.entries(cond).every(([op, arg]) => {
+      if (op === "$options") return true;
+      if (op === "$regex") return matchBranches(branches, toRegex(arg, cond));
+      return matchOperator(branches, op, arg);
+    });
+  }
+
+  return branches.some((value) => matchEquality(value, cond));
+}
+
+/* Apply a single field operator to all the values reached by a path. */
+function matchOperator(branches, op, arg) {
+  const some = (pred) => branches.some(pred);
+
+  switch (op) {
+    case "$eq":
+      return some((value) => matchEquality(value, arg));
+    case "$ne":
+      return !some((value) => matchEquality(value, arg));
+    case "$gt":
+      return some(matchElements((v) => compareSameType(v, arg) > 0));
+    case "$gte":
+      return some(matchElements((v) => compareSameType(v, arg) >= 0));
+    case "$lt":
+      return some(matchElements((v) => compareSameType(v, arg) < 0));
+    case "$lte":
+      return some(matchElements((v) => compareSameType(v, arg) <= 0));
+    case "$in":
+      return some((value) => arg.some((item) => matchEquality(value, item)));
+    case "$nin":
+      return !some((value) => arg.some((item) => matchEquality(value, item)));
+    case "$exists":
+      return some((value) => value !== undefined) === !!arg;
+    case "$size":
+      return some((value) => isArr(value) && value.length === arg);
+    case "$all":
+      return some(
+        (value) =>
+          isArr(value) && arg.every((item) => matchEquality(value, item))
+      );
+    case "$elemMatch":
+      return some(
+        (value) =>
+          isArr(value) &&
+          value.some((el) =>
+            isOperatorObj(arg)
+              ? matchBranches([el], arg)
+              : isObj(el) && matchSelector(arg, el)
+          )
+      );
+    case "$not":
+      return !matchBranches(branches, arg);
+    case "$mod": {
+      const [divisor, remainder] = arg;
+      return some(
+        matchElements((v) => typeof v === "number" && v % divisor === remainder)
+      );
+    }
+    default:
+      throw new Error(`Selector operator '${op}' is not supported.`);
+  }
+}
+
+/* Create a predicate that applies to a value or to any of its elements. */
+function matchElements(pred) {
+  return (value) => (isArr(value) ? value.some(pred) : pred(value));
+}
+
+/* Implicit equality: arrays match if equal or if any element is equal,
+ * regular expressions test strings, and `null` matches missing values. */
+function matchEquality(value, target) {
+  if (typeOf(target) === "regexp") {
+    return matchElements((v) => typeof v === "string" && target.test(v))(value);
+  }
+
+  if (target === null && value === undefined) return true;
+  if (valuesEqual(value, target)) return true;
+  return isArr(value) && value.some((el) => valuesEqual(el, target));
+}
+
+/* Build a RegExp from a `$regex` operator and its optional `$options`. */
+function toRegex(regex, { $options }) {
+  if (typeOf(regex) === "regexp" && !$options) return regex;
+  const source = typeOf(regex) === "regexp" ? regex.source : regex;
+  return new RegExp(source, $options);
+}
+
+/* Check if every key of an object is an operator (ex: `{ $gt: 1 }`). */
+function isOperatorObj(x) {
+  if (!isObj(x)) return false;
+  const keys = Object.keys(x);
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+/* === COMPARISONS === */
+
+/**
+ * Deep equality of two values (Dates and binary values included).
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  return EJSON.equals(a, b);
+}
+
+/* Comparison operators only match values of the same type.
+ * Return NaN (which fails every comparison) otherwise. */
+function compareSameType(a, b) {
+  if (isNil(a) || typeRank(a) !== typeRank(b)) return NaN;
+  return compareValues(a, b);
+}
+
+/* === PROJECTION === */
+
+/**
+ * Project a document with a MongoDB-style projection.
+ * Supports inclusion or exclusion of (dot-notation) paths,
+ * `_id` exclusion and the `$slice` and `$elemMatch` projection operators.
+ * Always returns a new document.
+ *
+ * @param {Object|undefined} fields
+ * @param {Object} doc
+ * @returns {Object}
+ */
+export function projectDoc(fields, doc) {
+  const copy = EJSON.clone(doc);
+  if (!isObj(fields)) return copy;
+
+  const { _id: idSelection, ...rest } = fields;
+
+  const entries = Object.entries(rest);
+  const operators = entries.filter(([, v]) => isObj(v));
+  const paths = entries.filter(([, v]) => !isObj(v));
+
+  const inclusion = paths.some(([, v]) => v);
+  const tree = createPathsTree(
+    paths.filter(([, v]) => !!v === inclusion).map(([k]) => k)
+  );
+
+  let projected = copy;
+
+  if (inclusion) {
+    projected = { ...pickTree(copy, tree), _id: copy._id };
+  } else if (paths.length) {
+    projected = omitTree(copy, tree);
+  }
+
+  operators.forEach(([key, op]) => {
+    const value = copy[key];
+    if (!isArr(value)) return;
+
+    if (hasOwn(op, "$slice")) {
+      const [skip, limit] = isArr(op.$slice) ? op.$slice : [0, op.$slice];
+      projected[key] =
+        limit < 0 && !isArr(op.$slice)
+          ? value.slice(limit)
+          : value.slice(skip < 0 ? value.length + skip : skip).slice(0, limit);
+    }
+
+    if (hasOwn(op, "$elemMatch")) {
+      const match = value.find(
+        (el) => isObj(el) && matchSelector(op.$elemMatch, el)
+      );
+      if (match) projected[key] = [match];
+      else delete projected[key];
+    }
+  });
+
+  if (idSelection !== undefined && !idSelection) delete projected._id;
+
+  return projected;
+}
+
+/* Convert a list of dot-notation paths to a nested tree
+ * where `true` leaves represent whole selected values. */
+function createPathsTree(paths) {
+  return paths.reduce((tree, path) => {
+    const keys = path.split(".");
+    let node = tree;
+
+    keys.forEach((key, index) => {
+      if (node[key] === true) return;
+      if (index === keys.length - 1) {
+        node[key] = true;
+        return;
+      }
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+
+    return tree;
+  }, {});
+}
+
+function pickTree(value, tree) {
+  if (isArr(value)) {
+    return value.filter(isObj).map((el) => pickTree(el, tree));
+  }
+
+  if (!isObj(value)) return undefined;
+
+  return Object.entries(tree).reduce((acc, [key, sub]) => {
+    if (!hasOwn(value, key)) return acc;
+    if (sub === true) return { ...acc, [key]: value[key] };
+
+    const picked = pickTree(value[key], sub);
+    return picked === undefined ? acc : { ...acc, [key]: picked };
+  }, {});
+}
+
+function omitTree(value, tree) {
+  if (isArr(value)) return value.map((el) => omitTree(el, tree));
+  if (!isObj(value)) return value;
+
+  return Object.entries(value).reduce((acc, [key, sub]) => {
+    const branch = tree[key];
+    if (branch === true) return acc;
+    if (!branch) return { ...acc, [key]: sub };
+    return { ...acc, [key]: omitTree(sub, branch) };
+  }, {});
+}
+
+/* === MODIFIERS === */
+
+/**
+ * Apply a MongoDB-style modifier to a document and return the modified copy.
+ * A modifier without operators is treated as a replacement document.
+ *
+ * Supported operators: $set, $unset, $inc, $mul, $min, $max, $rename,
+ * $setOnInsert, $currentDate, $push (with $each, $position, $slice, $sort),
+ * $addToSet (with $each), $pop, $pull and $pullAll.
+ *
+ * @param {Object} doc - Document to modify (left untouched).
+ * @param {Object} modifier
+ * @param {{ inserting?: boolean }} [options] - `inserting` applies $setOnInsert.
+ * @returns {Object}
+ * @throws {Error} If an operator is unsupported or `_id` would change.
+ */
+export function applyModifier(doc, modifier, { inserting = false } = {}) {
+  const keys = Object.keys(modifier || {});
+  const isReplacement = !keys.some((key) => key.startsWith("$"));
+
+  if (isReplacement) {
+    const replacement = EJSON.clone(modifier);
+    assertSameId(doc, replacement);
+    return { ...replacement, _id: doc._id ?? replacement._id };
+  }
+
+  const next = EJSON.clone(doc);
+
+  Object.entries(modifier).forEach(([op, fieldsMap]) => {
+    const apply = MODIFIERS[op];
+    if (!apply) {
+      throw new Error(`Modifier operator '${op}' is not supported.`);
+    }
+
+    if (op === "$setOnInsert" && !inserting) return;
+
+    Object.entries(fieldsMap).forEach(([path, arg]) => {
+      if (path.split(".").includes("$")) {
+        throw new Error(`Positional operator in '${path}' is not supported.`);
+      }
+      apply(next, path, EJSON.clone(arg));
+    });
+  });
+
+  assertSameId(doc, next);
+  return next;
+}
+
+const MODIFIERS = {
+  $set: setPath,
+  $setOnInsert: setPath,
+  $unset: unsetPath,
+
+  $inc(doc, path, n) {
+    setPath(doc, path, toNumber(getPath(doc, path), "$inc") + n);
+  },
+
+  $mul(doc, path, n) {
+    setPath(doc, path, toNumber(getPath(doc, path), "$mul") * n);
+  },
+
+  $min(doc, path, value) {
+    const prev = getPath(doc, path);
+    if (prev === undefined || compareValues(value, prev) < 0) {
+      setPath(doc, path, value);
+    }
+  },
+
+  $max(doc, path, value) {
+    const prev = getPath(doc, path);
+    if (prev === undefined || compareValues(value, prev) > 0) {
+      setPath(doc, path, value);
+    }
+  },
+
+  $rename(doc, path, newPath) {
+    const value = getPath(doc, path);
+    if (value === undefined) return;
+    unsetPath(doc, path);
+    setPath(doc, newPath, value);
+  },
+
+  $currentDate(doc, path) {
+    setPath(doc, path, new Date());
+  },
+
+  $push(doc, path, arg) {
+    const list = getArray(doc, path, "$push");
+    const isEach = isObj(arg) && hasOwn(arg, "$each");
+    const { $each = [arg], $position, $slice, $sort } = isEach ? arg : {};
+
+    const position = $position === undefined ? list.length : $position;
+    let next = [...list.slice(0, position), ...$each, ...list.slice(position)];
+
+    if ($sort !== undefined) {
+      next = isObj($sort)
+        ? sortDocs($sort, next)
+        : [...next].sort((a, b) => compareValues(a, b) * $sort);
+    }
+
+    if ($slice !== undefined) {
+      next = $slice < 0 ? next.slice($slice) : next.slice(0, $slice);
+    }
+
+    setPath(doc, path, next);
+  },
+
+  $addToSet(doc, path, arg) {
+    const list = getArray(doc, path, "$addToSet");
+    const values = isObj(arg) && hasOwn(arg, "$each") ? arg.$each : [arg];
+
+    const next = values.reduce(
+      (acc, value) =>
+        acc.some((el) => valuesEqual(el, value)) ? acc : [...acc, value],
+      list
+    );
+
+    setPath(doc, path, next);
+  },
+
+  $pop(doc, path, n) {
+    const list = getArray(doc, path, "$pop");
+    setPath(doc, path, n < 0 ? list.slice(1) : list.slice(0, -1));
+  },
+
+  $pull(doc, path, cond) {
+    const list = getArray(doc, path, "$pull");
+
+    const matches = (el) => {
+      if (isOperatorObj(cond)) return matchBranches([el], cond);
+      if (isObj(cond) && isObj(el)) return matchSelector(cond, el);
+      return matchEquality(el, cond);
+    };
+
+    setPath(
+      doc,
+      path,
+      list.filter((el) => !matches(el))
+    );
+  },
+
+  $pullAll(doc, path, values) {
+    const list = getArray(doc, path, "$pullAll");
+    setPath(
+      doc,
+      path,
+      list.filter((el) => !values.some((value) => valuesEqual(el, value)))
+    );
+  },
+};
+
+/* Get a value by its dot-notation path without traversing arrays. */
+function getPath(doc, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (isNil(value) ? undefined : value[key]), doc);
+}
+
+/* Set a value by its dot-notation path, creating intermediate objects. */
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const lastKey = keys.pop();
+
+  const parent = keys.reduce((node, key) => {
+    if (isNil(node[key])) node[key] = {};
+    if (!isObj(node[key]) && !isArr(node[key])) {
+      throw new Error(`Cannot create field '${key}' of path '${path}'.`);
+    }
+    return node[key];
+  }, doc);
+
+  parent[lastKey] = value;
+}
+
+/* Remove a value by its dot-notation path. */
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const lastKey = keys.pop();
+  const target = keys.length ? getPath(doc, keys.join(".")) : doc;
+
+  if (isArr(target)) {
+    /* MongoDB sets unset array elements to null instead of removing them */
+    if (/^\d+$/.test(lastKey)) target[Number(lastKey)] = null;
+    return;
+  }
+
+  if (isObj(target)) delete target[lastKey];
+}
+
+function getArray(doc, path, op) {
+  const value = getPath(doc, path);
+  if (value === undefined) return [];
+  if (!isArr(value)) {
+    throw new Error(`'${op}' can only be applied to an array ('${path}').`);
+  }
+  return value;
+}
+
+function toNumber(value, op) {
+  if (value === undefined) return 0;
+  if (typeof value !== "number") {
+    throw new Error(`'${op}' can only be applied to a number.`);
+  }
+  return value;
+}
+
+function assertSameId(prevDoc, nextDoc) {
+  if (prevDoc._id === undefined || nextDoc._id === undefined) return;
+  if (!valuesEqual(prevDoc._id, nextDoc._id)) {
+    throw new Error("The '_id' field of a document cannot be modified.");
+  }
+}
+
+/**
+ * Derive the base document of an upsert from the equality
+ * conditions of its selector (including `$and` members).
+ *
+ * @param {Object|string} selector
+ * @returns {Object}
+ */
+export function selectorToDoc(selector) {
+  if (!isObj(selector)) return isNil(selector) ? {} : { _id: selector };
+
+  return Object.entries(selector).reduce((acc, [key, cond]) => {
+    if (key === "$and") {
+      return cond.reduce((acc2, sub) => {
+        const subDoc = selectorToDoc(sub);
+        Object.entries(subDoc).forEach(([k, v]) => setPath(acc2, k, v));
+        return acc2;
+      }, acc);
+    }
+
+    if (key.startsWith("$")) return acc;
+
+    const isEq = isOperatorObj(cond) && hasOwn(cond, "$eq");
+    if (isOperatorObj(cond) && !isEq) return acc;
+    if (typeOf(cond) === "regexp") return acc;
+
+    setPath(acc, key, EJSON.clone(isEq ? cond.$eq : cond));
+    return acc;
+  }, {});
+}
@@ -1,4 +1,15 @@
+import { parse, stringify, withMeteorIds } from "./meteorHelpers";
+
 export default {
+  /* Aggregation is only available on the raw MongoDB collection */
+  aggregate: (Coll, pipeline, options) =>
+    Coll.rawCollection().aggregate(pipeline, options).toArray(),
+
+  /* Like aggregation, bulk writes are run by the raw collection.
+   * Inserted docs are given Meteor ids first, as `insertAsync` would. */
+  bulkWrite: (Coll, operations, options) =>
+    Coll.rawCollection().bulkWrite(withMeteorIds(Coll, operations), options),
+
   count(Coll, selector, options) {
     /* Use rawCollection's countDocuments method if available
      * to prevent loading in memory */
@@ -10,6 +21,10 @@ export default {
     return Coll.find(selector, options).countAsync();
   },
 
+  /* Like aggregation, distinct values are computed by the raw collection */
+  distinct: (Coll, key, selector = {}, options) =>
+    Coll.rawCollection().distinct(key, selector, options),
+
   findList: (Coll, selector, options) =>
     Coll.find(selector, options).fetchAsync(),
 
@@ -19,13 +34,33 @@ export default {
 
   insert: (Coll, doc) => Coll.insertAsync(doc),
 
+  /* Insert docs one by one, in order, to generate Meteor ids */
+  async insertMany(Coll, docs) {
+    const ids = [];
+    for (const doc of docs) ids.push(await Coll.insertAsync(doc));
+    return ids;
+  },
+
   observe: (Coll, selector, callbacks, options) =>
     Coll.find(selector, options).observeChangesAsync(callbacks),
 
+  /* Meteor's EJSON keeps Mongo.ObjectID values in pagination cursors */
+  parse,
+
   remove: (Coll, selector) => Coll.removeAsync(selector),
 
+  /* An update with a replacement document replaces the matched one */
+  replaceOne: (Coll, selector, doc, options) =>
+    Coll.updateAsync(selector, doc, { ...options, multi: false }),
+
+  stringify,
+
   update: (Coll, selector, modifier, options) => {
     /* Allow multi document update by default */
     return Coll.updateAsync(selector, modifier, { multi: true, ...options });
   },
+
+  /* Resolves to { numberAffected, insertedId } */
+  upsert: (Coll, selector, modifier, options) =>
+    Coll.upsertAsync(selector, modifier, options),
 };
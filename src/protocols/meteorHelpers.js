@@ -0,0 +1,119 @@
+import EJSON from "ejson";
+
+/* Meteor's EJSON, which knows the types added by packages (ex: Mongo.ObjectID).
+ * Falls back to the EJSON package outside of Meteor. */
+function getEJSON() {
+  return globalThis.Package?.ejson?.EJSON || EJSON;
+}
+
+/**
+ * Stringify values with Meteor's EJSON, so that `parse` restores their types.
+ * @param {any} x
+ * @returns {string}
+ * @internal
+ */
+export function stringify(x) {
+  return getEJSON().stringify(x, { canonical: true });
+}
+
+/**
+ * Parse a string built by `stringify`.
+ * @param {string} text
+ * @returns {any}
+ * @internal
+ */
+export function parse(text) {
+  return getEJSON().parse(text);
+}
+
+/**
+ * Give the documents inserted by bulk write operations a Meteor id, as
+ * collection inserts and upserts would, since the raw collection would give
+ * them an ObjectId instead:
+ * - `insertOne` documents without `_id` get one;
+ * - upserting `updateOne` and `updateMany` operations get one through
+ *   `$setOnInsert` (or a last pipeline stage), unless their filter or update
+ *   sets the `_id`.
+ * Collections generating ObjectIds (`idGeneration: 'MONGO'`) are left as is.
+ *
+ * @param {*} Coll - The Meteor collection.
+ * @param {Object[]} operations - Write operations, in MongoDB `bulkWrite` format.
+ * @returns {Object[]} The operations, with ids where needed.
+ * @throws {Error} If a `replaceOne` upsert has no `_id`, since its replacement
+ *   can't be given one without conflicting with a matched document.
+ * @internal
+ */
+export function withMeteorIds(Coll, operations = []) {
+  return operations.map((operation) => {
+    const [type] = Object.keys(operation || {});
+    const args = operation[type];
+
+    if (type === "insertOne") {
+      const { document } = args;
+      if (document?._id !== undefined) return operation;
+
+      const _id = makeStringId(Coll);
+      return _id
+        ? { insertOne: { ...args, document: { ...document, _id } } }
+        : operation;
+    }
+
+    if (!args?.upsert || hasIdEquality(args.filter)) return operation;
+
+    if (type === "replaceOne") {
+      if (args.replacement?._id !== undefined || !makeStringId(Coll)) {
+        return operation;
+      }
+
+      throw new Error(
+        "'bulkWrite' 'replaceOne' upserts must set the '_id' in their filter or replacement with Meteor protocols."
+      );
+    }
+
+    if (!["updateOne", "updateMany"].includes(type)) return operation;
+
+    const { update } = args;
+    const _id = setsId(update) ? undefined : makeStringId(Coll);
+    if (!_id) return operation;
+
+    return {
+      [type]: {
+        ...args,
+        update: Array.isArray(update)
+          ? [...update, { $set: { _id: { $ifNull: ["$_id", _id] } } }]
+          : {
+              ...update,
+              $setOnInsert: { ...update?.$setOnInsert, _id },
+            },
+      },
+    };
+  });
+}
+
+/* New string id of a Meteor collection, or undefined if it generates
+ * ObjectIds (left to the driver). */
+function makeStringId(Coll) {
+  const _id =
+    typeof Coll?._makeNewID === "function"
+      ? Coll._makeNewID()
+      : globalThis.Package?.random?.Random.id();
+
+  return typeof _id === "string" ? _id : undefined;
+}
+
+/* Whether a filter selects an exact `_id`, which an upsert inserts. */
+function hasIdEquality(filter) {
+  const value = filter?._id;
+  if (value === undefined) return false;
+  if (!value || typeof value !== "object") return true;
+  return !Object.keys(value).some((key) => key.startsWith("$"));
+}
+
+/* Whether an update sets the `_id` itself. */
+function setsId(update) {
+  if (Array.isArray(update)) {
+    return update.some((stage) => stage?.$set?._id || stage?.$addFields?._id);
+  }
+
+  return ["$set", "$setOnInsert"].some((op) => update?.[op]?._id !== undefined);
+}
@@ -1,6 +1,44 @@
+import { parse, stringify, withMeteorIds } from "./meteorHelpers";
+
+/* Raw MongoDB collection of a server collection, whose methods return promises. */
+function getRawCollection(Coll, method) {
+  if (typeof Coll.rawCollection !== "function") {
+    throw new Error(
+      `'${method}' is only available on the server, with a raw MongoDB collection.`
+    );
+  }
+
+  return Coll.rawCollection();
+}
+
+/* On the server, Meteor's `Promise.await` waits for raw collection
+ * promises synchronously (Fibers). Without it, the promise is returned. */
+function awaitRaw(promise) {
+  return typeof Promise.await === "function" ? Promise.await(promise) : promise;
+}
+
 export default {
+  aggregate: (Coll, pipeline, options) =>
+    awaitRaw(
+      getRawCollection(Coll, "aggregate").aggregate(pipeline, options).toArray()
+    ),
+
+  /* Inserted docs are given Meteor ids first, as `insert` would */
+  bulkWrite: (Coll, operations, options) =>
+    awaitRaw(
+      getRawCollection(Coll, "bulkWrite").bulkWrite(
+        withMeteorIds(Coll, operations),
+        options
+      )
+    ),
+
   count: (Coll, selector, options) => Coll.find(selector, options).count(),
 
+  distinct: (Coll, key, selector = {}, options) =>
+    awaitRaw(
+      getRawCollection(Coll, "distinct").distinct(key, selector, options)
+    ),
+
   findList: (Coll, selector, options) => Coll.find(selector, options).fetch(),
 
   getName: (Coll) => Coll._name || "",
@@ -16,13 +54,28 @@ export default {
 
   insert: (Coll, doc) => Coll.insert(doc),
 
+  insertMany: (Coll, docs) => docs.map((doc) => Coll.insert(doc)),
+
   observe: (Coll, selector, callbacks, options) =>
     Coll.find(selector, options).observeChanges(callbacks),
 
+  /* Meteor's EJSON keeps Mongo.ObjectID values in pagination cursors */
+  parse,
+
   remove: (Coll, selector) => Coll.remove(selector),
 
+  /* An update with a replacement document replaces the matched one */
+  replaceOne: (Coll, selector, doc, options) =>
+    Coll.update(selector, doc, { ...options, multi: false }),
+
+  stringify,
+
   update: (Coll, selector, modifier, options) => {
     /* Allow multi document update by default */
     return Coll.update(selector, modifier, { multi: true, ...options });
   },
+
+  /* Returns { numberAffected, insertedId } */
+  upsert: (Coll, selector, modifier, options) =>
+    Coll.upsert(selector, modifier, options),
 };
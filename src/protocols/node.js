@@ -1,10 +1,29 @@
-import { renameKeys } from "../util";
+import EJSON from "ejson";
+import { isArr, isFunc, isNil, isObj, renameKeys } from "../util";
+import { createObservedSet, idKey } from "./observeHelpers";
+
+/* Change stream events that can affect an observed result set. */
+const WATCHED_OPERATIONS = ["insert", "update", "replace", "delete"];
 
 /**
  * Node protocol for the official MongoDB driver.
  * Assumes Coll is an instance of mongodb.Collection.
  */
 export default {
+  /**
+   * Run an aggregation pipeline and return the resulting documents.
+   */
+  aggregate(Coll, pipeline = [], options = {}) {
+    return Coll.aggregate(pipeline, options).toArray();
+  },
+
+  /**
+   * Run ordered write operations and return the driver's BulkWriteResult.
+   */
+  bulkWrite(Coll, operations = [], options = {}) {
+    return Coll.bulkWrite(operations, options);
+  },
+
   /**
    * Count documents matching selector.
    * Uses countDocuments (preferred over deprecated cursor.count()).
@@ -14,13 +33,17 @@ export default {
   },
 
   /**
-   * Return an array of documents for selector/options.
+   * Return the distinct values of a field among matching documents.
    */
-  findList(Coll, selector = {}, options = {}) {
-    const renamedOptions = renameKeys({ fields: "projection" }, options || {});
-    return Coll.find(selector || {}, renamedOptions).toArray();
+  distinct(Coll, key, selector = {}, options = {}) {
+    return Coll.distinct(key, selector || {}, options);
   },
 
+  /**
+   * Return an array of documents for selector/options.
+   */
+  findList,
+
   /**
    * Return the collection's name. Defaults to empty string.
    */
@@ -40,6 +63,138 @@ export default {
     return Coll.insertOne(doc, options).then((res) => res?.insertedId);
   },
 
+  /**
+   * Insert documents and return their insertedIds, in the same order.
+   */
+  insertMany(Coll, docs = [], options) {
+    return Coll.insertMany(docs, options).then((res) =>
+      docs.map((_doc, index) => res?.insertedIds?.[index])
+    );
+  },
+
+  /**
+   * Observe matching documents with MongoDB change streams.
+   * Requires a replica set or a sharded cluster.
+   *
+   * - An initial snapshot is reported through `added` before resolving.
+   * - The change stream starts at the cluster time read before the snapshot
+   *   (when the collection exposes its `client`), so changes made while it
+   *   is fetched aren't missed.
+   * - Change events are batched, then reconciled by re-fetching only the
+   *   affected documents, or the whole result set when `limit` or `skip`
+   *   are used, since any change may then shift the observed window.
+   * - Honors `fields`, `sort`, `limit` and `skip`.
+   * - The change stream is filtered on the selector `_id` condition, and
+   *   inserts on the whole selector when it only uses field conditions.
+   * - Once initialized, errors (change stream failures the driver couldn't
+   *   resume from, or failed re-fetches) stop the observer and are passed to
+   *   the optional `error` callback, or logged if there is none.
+   *
+   * Resolves to a handle with a `stop()` method closing the change stream.
+   */
+  async observe(Coll, selector = {}, callbacks = {}, options = {}) {
+    const { fields, sort, limit, skip } = options || {};
+    const findOptions = { fields, sort, limit, skip };
+    const windowed = !!(limit || skip);
+
+    const observedSet = createObservedSet(callbacks);
+
+    /* Map<idKey, _id> of documents affected since last reconciliation */
+    const pendingIds = new Map();
+
+    let stopped = false;
+    let scheduled = false;
+
+    const startAtOperationTime = await getOperationTime(Coll);
+    const stream = Coll.watch(
+      [{ $match: changeSelector(selector) }],
+      startAtOperationTime ? { startAtOperationTime } : {}
+    );
+
+    /* Reconciliations are chained so they never overlap.
+     * The initial snapshot is the first of them. */
+    const initial = findList(Coll, selector, findOptions).then((docs) => {
+      observedSet.reset(docs);
+    });
+    let queue = initial;
+
+    async function reconcile() {
+      scheduled = false;
+      if (stopped || !pendingIds.size) return;
+
+      const ids = Array.from(pendingIds.values());
+      pendingIds.clear();
+
+      if (windowed) {
+        observedSet.reset(await findList(Coll, selector, findOptions));
+        return;
+      }
+
+      const docs = await findList(
+        Coll,
+        { $and: [selector || {}, { _id: { $in: ids } }] },
+        findOptions
+      );
+
+      if (!stopped) observedSet.patch(ids, docs);
+    }
+
+    stream.on("change", ({ documentKey }) => {
+      if (stopped || documentKey?._id === undefined) return;
+
+      pendingIds.set(idKey(documentKey._id), documentKey._id);
+
+      if (scheduled) return;
+      scheduled = true;
+      queue = queue.then(reconcile).catch(fail);
+    });
+
+    stream.on("error", fail);
+
+    function stop() {
+      stopped = true;
+      pendingIds.clear();
+      return Promise.resolve(stream.close()).catch(logObserveError);
+    }
+
+    /* Errors raised before the initial snapshot resolves are thrown
+     * to the caller, later ones are reported once */
+    let initialized = false;
+    let initialError;
+
+    function fail(error) {
+      if (stopped) return;
+      if (!initialized) {
+        if (!initialError) initialError = error;
+        return;
+      }
+
+      stop();
+      if (isFunc(callbacks.error)) callbacks.error(error);
+      else logObserveError(error);
+    }
+
+    try {
+      await initial;
+      if (initialError) throw initialError;
+    } catch (error) {
+      await stop();
+      throw error;
+    }
+
+    initialized = true;
+
+    return { stop };
+  },
+
+  /**
+   * Parse a string built by `stringify`, restoring BSON values.
+   */
+  parse(text) {
+    const driverEJSON = getDriverEJSON();
+    return driverEJSON ? driverEJSON.parse(text) : EJSON.parse(text);
+  },
+
   /**
    * Remove documents. Honors options.multi (default true).
    */
@@ -51,15 +206,151 @@ export default {
     return p.then((res) => res?.deletedCount ?? 0);
   },
 
+  /**
+   * Replace a single document.
+   * Returns modifiedCount (plus upsertedCount with options.upsert).
+   */
+  replaceOne(Coll, selector = {}, doc = {}, options = {}) {
+    return Coll.replaceOne(selector || {}, doc || {}, options || {}).then(
+      (res) => (res?.modifiedCount ?? 0) + (res?.upsertedCount ?? 0)
+    );
+  },
+
+  /**
+   * Start a session on the client of the collection, for `withTransaction`.
+   * Transactions require a replica set or a sharded cluster.
+   */
+  startSession(Coll) {
+    if (!Coll?.client) {
+      throw new Error(
+        "'startSession' requires a collection exposing its 'client' (MongoDB driver 4 or later)."
+      );
+    }
+
+    return Coll.client.startSession();
+  },
+
+  /**
+   * Stringify values with the driver's Extended JSON, so that BSON values
+   * (ObjectIds, Decimal128...) are kept by `parse`, as in pagination cursors.
+   * Falls back to EJSON if the driver can't be loaded.
+   */
+  stringify(x) {
+    const driverEJSON = getDriverEJSON();
+    return driverEJSON
+      ? driverEJSON.stringify(x)
+      : EJSON.stringify(x, { canonical: true });
+  },
+
   /**
    * Update documents. Honors options.multi (default true).
-   * Returns modifiedCount (or upsertedCount as fallback).
+   * Returns modifiedCount (plus upsertedCount with options.upsert).
    */
   update(Coll, selector = {}, modifier = {}, options = {}) {
     const { multi = true, ...rest } = options || {};
     const p = multi
       ? Coll.updateMany(selector || {}, modifier || {}, rest)
       : Coll.updateOne(selector || {}, modifier || {}, rest);
-    return p.then((res) => res?.modifiedCount ?? res?.upsertedCount ?? 0);
+    return p.then(
+      (res) => (res?.modifiedCount ?? 0) + (res?.upsertedCount ?? 0)
+    );
+  },
+
+  /**
+   * Update documents (a single one unless options.multi), or insert one if none matches.
+   * Returns { numberAffected, insertedId }, like Meteor's `upsert`.
+   */
+  upsert(Coll, selector = {}, modifier = {}, options = {}) {
+    const { multi = false, ...rest } = options || {};
+    const upsertOptions = { ...rest, upsert: true };
+    const p = multi
+      ? Coll.updateMany(selector || {}, modifier || {}, upsertOptions)
+      : Coll.updateOne(selector || {}, modifier || {}, upsertOptions);
+
+    return p.then((res) =>
+      isNil(res?.upsertedId)
+        ? { numberAffected: res?.modifiedCount ?? 0 }
+        : { numberAffected: 1, insertedId: res.upsertedId }
+    );
   },
 };
+
+/* Return an array of documents for selector/options.
+ * Defined outside the protocol object so `observe` can reuse it. */
+function findList(Coll, selector = {}, options = {}) {
+  const renamedOptions = renameKeys({ fields: "projection" }, options || {});
+  return Coll.find(selector || {}, renamedOptions).toArray();
+}
+
+/* The MongoDB driver's EJSON, loaded from the `mongodb` package on first use
+ * (null if it can't be). Not imported, so that other protocols don't depend
+ * on the driver. */
+let driverEJSON;
+
+function getDriverEJSON() {
+  if (driverEJSON !== undefined) return driverEJSON;
+
+  try {
+    const { createRequire } =
+      globalThis.process.getBuiltinModule("node:module");
+    driverEJSON = createRequire(import.meta.url)("mongodb").BSON.EJSON;
+  } catch {
+    driverEJSON = null;
+  }
+
+  return driverEJSON;
+}
+
+/* Return the current cluster time of a collection's deployment, or undefined
+ * if the collection doesn't expose its client or the deployment doesn't report
+ * one (standalone servers, which don't support change streams anyway). */
+async function getOperationTime(Coll) {
+  if (!Coll?.client) return undefined;
+
+  const res = await Coll.client.db(Coll.dbName).command({ ping: 1 });
+  return res?.operationTime;
+}
+
+/* Build the change stream filter of an observed selector.
+ * `_id` can't change, so its condition applies to every event. Other conditions
+ * only apply to inserts: updated, replaced and deleted documents might be leaving
+ * the result set. */
+function changeSelector(selector) {
+  const conditions = [{ operationType: { $in: WATCHED_OPERATIONS } }];
+
+  if (isObj(selector) && "_id" in selector) {
+    conditions.push({ "documentKey._id": selector._id });
+  }
+
+  const inserted = isObj(selector)
+    ? prefixSelector(selector, "fullDocument")
+    : undefined;
+  if (inserted && Object.keys(inserted).length) {
+    conditions.push({ $or: [{ operationType: { $ne: "insert" } }, inserted] });
+  }
+
+  return conditions.length > 1 ? { $and: conditions } : conditions[0];
+}
+
+/* Prefix the field paths of a selector, or return undefined if it uses
+ * top-level operators other than `$and`, `$or` and `$nor` (ex: `$expr`). */
+function prefixSelector(selector, prefix) {
+  const entries = Object.entries(selector).map(([key, value]) => {
+    if (!key.startsWith("$")) return [`${prefix}.${key}`, value];
+    if (!["$and", "$or", "$nor"].includes(key) || !isArr(value)) {
+      return undefined;
+    }
+
+    const prefixed = value.map((sub) =>
+      isObj(sub) ? prefixSelector(sub, prefix) : undefined
+    );
+    return prefixed.every(Boolean) ? [key, prefixed] : undefined;
+  });
+
+  return entries.every(Boolean) ? Object.fromEntries(entries) : undefined;
+}
+
+function logObserveError(error) {
+  // eslint-disable-next-line no-console
+  console?.error("'observe' change stream error:", error);
+}
@@ -0,0 +1,112 @@
+import EJSON from "ejson";
+import { isFunc } from "../util";
+
+/**
+ * Keep track of an observed result set and report its differences
+ * through `added(id, fields)`, `changed(id, fields)` and `removed(id)` callbacks.
+ *
+ * - `reset(docs)` diffs a complete new version of the result set.
+ * - `patch(ids, docs)` diffs only the documents identified by `ids`,
+ *   where `docs` are those among them that still match.
+ *
+ * Both return `true` if at least one difference was reported.
+ *
+ * Documents must include their `_id`. Changed fields are top-level fields;
+ * removed ones are reported as `undefined`.
+ *
+ * @param {{added?: Function, changed?: Function, removed?: Function}} callbacks
+ * @returns {{reset: (docs:Object[]) => boolean, patch: (ids:any[], docs:Object[]) => boolean}}
+ */
+export function createObservedSet({ added, changed, removed } = {}) {
+  /* Map<idKey, doc> */
+  const current = new Map();
+
+  /* Report a document that is (still) part of the result set. */
+  function upsertDoc(key, doc) {
+    const { _id, ...fields } = doc;
+    const prevDoc = current.get(key);
+    current.set(key, doc);
+
+    if (!prevDoc) {
+      added?.(_id, fields);
+      return true;
+    }
+
+    const changedFields = diffFields(prevDoc, doc);
+    if (!Object.keys(changedFields).length) return false;
+
+    changed?.(_id, changedFields);
+    return true;
+  }
+
+  /* Report a document that left the result set. */
+  function removeDoc(key) {
+    const prevDoc = current.get(key);
+    if (!prevDoc) return false;
+
+    current.delete(key);
+    removed?.(prevDoc._id);
+    return true;
+  }
+
+  return {
+    reset(docs = []) {
+      const next = new Map(docs.map((doc) => [idKey(doc._id), doc]));
+
+      const removals = Array.from(current.keys())
+        .filter((key) => !next.has(key))
+        .map(removeDoc);
+
+      const upserts = Array.from(next).map(([key, doc]) => upsertDoc(key, doc));
+
+      return [...removals, ...upserts].some((reported) => reported);
+    },
+
+    patch(ids = [], docs = []) {
+      const found = new Map(docs.map((doc) => [idKey(doc._id), doc]));
+
+      const reports = ids.map((_id) => {
+        const key = idKey(_id);
+        const doc = found.get(key);
+        return doc ? upsertDoc(key, doc) : removeDoc(key);
+      });
+
+      return reports.some((reported) => reported);
+    },
+  };
+}
+
+/**
+ * Top-level fields that differ between two versions of a document.
+ * Removed fields are reported as `undefined`.
+ *
+ * @param {Object} prevDoc
+ * @param {Object} nextDoc
+ * @returns {Object}
+ */
+export function diffFields(prevDoc, nextDoc) {
+  const keys = new Set([...Object.keys(prevDoc), ...Object.keys(nextDoc)]);
+
+  return Array.from(keys).reduce((acc, key) => {
+    if (fieldEquals(prevDoc[key], nextDoc[key])) return acc;
+    return { ...acc, [key]: nextDoc[key] };
+  }, {});
+}
+
+/**
+ * Ids can be of any EJSON or driver type (ex: ObjectId).
+ * Return a string key to index them.
+ *
+ * @param {any} _id
+ * @returns {string}
+ */
+export function idKey(_id) {
+  if (typeof _id === "string") return _id;
+  if (isFunc(_id?.toHexString)) return `ObjectId(${_id.toHexString()})`;
+  return EJSON.stringify(_id);
+}
+
+function fieldEquals(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  return EJSON.equals(a, b);
+}
@@ -0,0 +1,141 @@
+import { isFunc, isPromise, then } from "../util";
+import { createObservedSet } from "./observeHelpers";
+
+const INTERVAL = 1000;
+const BACKOFF = 2;
+const MAX_INTERVAL_FACTOR = 10;
+
+/**
+ * Return a copy of a protocol whose `observe` method polls `findList`
+ * instead of relying on backend reactivity (oplog, change streams...).
+ * Useful for backends that don't support change streams,
+ * so that `publish()` trees work anywhere `findList` does.
+ *
+ * Each poll re-fetches the observed result set (honoring `fields`, `sort`,
+ * `limit` and `skip`) and diffs it with the previous one, calling
+ * `added(id, fields)`, `changed(id, changedFields)` and `removed(id)`.
+ * When a poll reports no difference, the next one is delayed by the `backoff`
+ * factor, up to `maxInterval`. Any difference resets the delay to `interval`.
+ *
+ * @template {Object} TProtocol
+ * @param {TProtocol} protocol - Protocol implementing at least `findList`.
+ * @param {Object} [options={}]
+ * @param {number} [options.interval=1000] - Base delay between polls (ms).
+ * @param {number} [options.maxInterval=interval*10] - Maximum delay between polls (ms).
+ * @param {number} [options.backoff=2] - Delay multiplier applied after an unchanged poll. Use 1 to disable.
+ * @returns {TProtocol} The protocol with a polling `observe` method.
+ * @throws {TypeError} If the protocol has no `findList` or options are invalid.
+ *
+ * @example
+ * setProtocol(withPollingObserve(protocols.node, { interval: 2000 }));
+ */
+export function withPollingObserve(
+  protocol,
+  {
+    interval = INTERVAL,
+    maxInterval = interval * MAX_INTERVAL_FACTOR,
+    backoff = BACKOFF,
+  } = {}
+) {
+  if (!isFunc(protocol?.findList)) {
+    throw new TypeError("'withPollingObserve' requires a 'findList' method.");
+  }
+
+  validatePollingArgs({ interval, maxInterval, backoff });
+
+  const { bindEnvironment, findList } = protocol;
+
+  return {
+    ...protocol,
+
+    observe(Coll, selector = {}, callbacks = {}, options = {}) {
+      const { fields, sort, limit, skip } = options || {};
+      const observedSet = createObservedSet(callbacks);
+
+      let stopped = false;
+      let timer = null;
+      let delay = interval;
+
+      /* Fetch the result set and diff it. Returns true if anything changed. */
+      function poll() {
+        return then(
+          findList(Coll, selector, {
+            fields,
+            sort,
+            limit,
+            skip,
+            transform: null,
+          }),
+          (docs) => !stopped && observedSet.reset(docs)
+        );
+      }
+
+      /* Poll, adjust the delay, then schedule the next poll.
+       * Errors are logged and polling continues with back-off. */
+      function tick() {
+        if (stopped) return;
+
+        try {
+          const maybePromise = then(poll(), (changed) => {
+            delay = changed ? interval : nextDelay(delay);
+            schedule();
+          });
+
+          if (isPromise(maybePromise)) maybePromise.catch(retry);
+        } catch (error) {
+          retry(error);
+        }
+      }
+
+      function retry(error) {
+        // eslint-disable-next-line no-console
+        console?.error("'observe' polling error:", error);
+        delay = nextDelay(delay);
+        schedule();
+      }
+
+      function nextDelay(prevDelay) {
+        return Math.min(prevDelay * backoff, maxInterval);
+      }
+
+      /* Callbacks run outside of the initial call stack.
+       * Preserve runtime context if the protocol requires it. */
+      const boundTick = isFunc(bindEnvironment) ? bindEnvironment(tick) : tick;
+
+      function schedule() {
+        if (stopped) return;
+        timer = setTimeout(boundTick, delay);
+      }
+
+      /* Initial documents are added before the handle is returned.
+       * Initial errors are thrown to the caller. */
+      return then(poll(), () => {
+        schedule();
+
+        return {
+          stop() {
+            stopped = true;
+            clearTimeout(timer);
+          },
+        };
+      });
+    },
+  };
+}
+
+/* Type check polling arguments. */
+function validatePollingArgs({ interval, maxInterval, backoff }) {
+  if (!(Number.isFinite(interval) && interval > 0)) {
+    throw new TypeError("'interval' must be a finite positive number.");
+  }
+
+  if (!(Number.isFinite(maxInterval) && maxInterval >= interval)) {
+    throw new TypeError(
+      "'maxInterval' must be a finite number greater or equal to 'interval'."
+    );
+  }
+
+  if (!(Number.isFinite(backoff) && backoff >= 1)) {
+    throw new TypeError("'backoff' must be a finite number of at least 1.");
+  }
+}
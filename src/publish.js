@@ -1,7 +1,14 @@
 import { nanoid } from "nanoid/non-secure";
-import { getProtocol } from "./protocol";
+import { getProtocolFor } from "./protocol";
 import { fetchOne } from "./fetch";
-import { createTokensRegistry, isFunc, isObj } from "./util";
+import {
+  createTokensRegistry,
+  filter,
+  isFunc,
+  isObj,
+  isPromise,
+  then,
+} from "./util";
 import { createPool } from "./pool";
 import {
   createDebugKey,
@@ -218,6 +225,7 @@ async function runPublication(publication, args = {}) {
       debug, // Should debugging messages be displayed? true logs all; array of locations logs selected events; object maps locations to truthy/falsy values
       on = selector, // Link to parent document that will get interpreted as a selector
       awaited = true, // Should the observer initialization be awaited before readiness?
+      computed, // Requested computed fields, resolved by `normalizeArgs`
       ...options // Cursor options
     } = normalizeArgs(args);
 
@@ -237,7 +245,7 @@ async function runPublication(publication, args = {}) {
     const createFollowerKey = (docId) =>
       [observerId, coll, docId].join(KEY_SEPARATOR);
 
-    const protocol = getProtocol();
+    const protocol = getProtocolFor(Coll);
 
     /* Retrieve collection name for publishing data over DDP */
     const coll = protocol.getName(Coll);
@@ -256,7 +264,10 @@ async function runPublication(publication, args = {}) {
     const debugKey = createDebugKey(Coll, actSelector);
 
     /* Create a key from the cursor arguments so it can be reused. */
-    const queryKey = createQueryKey(Coll, actSelector, options);
+    const queryKey = createQueryKey(Coll, actSelector, {
+      ...options,
+      computed,
+    });
 
     const shouldInvalidatePred = interpretFieldDeps(validChildren);
 
@@ -283,6 +294,11 @@ async function runPublication(publication, args = {}) {
      * at the start of `changed` callback with children. */
     const changedSeqByFollower = createTokensRegistry((prev = 0) => prev + 1);
 
+    /* Last computed values published by doc id, and tokens
+     * ensuring only the latest evaluation of a doc gets published. */
+    const computedValuesByDoc = new Map();
+    const computedTokenByDoc = createTokensRegistry();
+
     let resolveCreation, rejectCreation;
     const creationPromise = new Promise((resolve, reject) => {
       resolveCreation = resolve;
@@ -423,6 +439,40 @@ async function runPublication(publication, args = {}) {
       }
     }
 
+    /* Evaluate the computed fields of a doc.
+     * Returns the values that differ from the last published ones,
+     * or undefined if a later evaluation of the doc was started meanwhile. */
+    function diffComputed(_id, doc) {
+      const token = computedTokenByDoc.generate(_id);
+
+      return then(computed.evaluate(doc), (values) => {
+        if (computedTokenByDoc.last(_id) !== token) return undefined;
+
+        const prevValues = computedValuesByDoc.get(_id);
+        computedValuesByDoc.set(_id, values);
+        if (!prevValues) return values;
+
+        return filter(
+          ([key, value]) =>
+            protocol.stringify({ value }) !==
+            protocol.stringify({ value: prevValues[key] }),
+          values
+        );
+      });
+    }
+
+    /* DDP change the computed values of a doc still published by the observer */
+    async function publishComputed(_id, maybeValues) {
+      const values = await maybeValues;
+      if (cancelled || !values || !Object.keys(values).length) return;
+
+      const completeDocId = [coll, _id].join(COLL_DOC_SEPARATOR);
+      if (!docsList.has(completeDocId)) return;
+
+      log(DEBUG.DOC_CHANGED, coll, _id, values);
+      publication.changed?.(coll, _id, values);
+    }
+
     /* === CREATE OBSERVER === */
 
     try {
@@ -439,12 +489,32 @@ async function runPublication(publication, args = {}) {
       let _initializing = initializing;
 
       const observeCallbacks = {
+        /* Errors stopping the observer once initialized (if the protocol reports them) */
+        ...(isFunc(publication.error) && { error: publication.error }),
+
         /* When a document is added to the cursor... */
         async added(_id, fields) {
           /* Prevent any more DDP operations when cancelled */
           if (cancelled) return;
 
-          addDoc(coll, _id, fields);
+          if (!computed) {
+            addDoc(coll, _id, fields);
+          } else {
+            /* Publish computed values with the doc when they are synchronous,
+             * as a change once resolved otherwise. */
+            const values = diffComputed(_id, { ...fields, _id });
+            const isPending = isPromise(values);
+
+            addDoc(coll, _id, {
+              ...computed.project(fields),
+              ...(!isPending && values),
+            });
+
+            if (isPending) {
+              const pool = _initializing ? initPool : activePool;
+              pool.add(publishComputed, _id, values);
+            }
+          }
 
           /* If no children publications, no further processing required. */
           if (!validChildren?.length) return;
@@ -485,11 +555,16 @@ async function runPublication(publication, args = {}) {
           /* Prevent any more DDP operations when cancelled */
           if (cancelled) return;
 
-          log(DEBUG.DOC_CHANGED, coll, _id, fields);
-          publication.changed?.(coll, _id, fields);
+          /* Deps only fetched for computed fields are not published */
+          const publishedFields = computed ? computed.project(fields) : fields;
 
-          /* If no child publication, no further processing required. */
-          if (!validChildren?.length) return;
+          if (!computed || Object.keys(publishedFields).length) {
+            log(DEBUG.DOC_CHANGED, coll, _id, publishedFields);
+            publication.changed?.(coll, _id, publishedFields);
+          }
+
+          /* If no child publication nor computed fields, no further processing required. */
+          if (!validChildren?.length && !computed) return;
 
           /* Recreate the follower key that was used when doc was added. */
           const followerKey = createFollowerKey(_id);
@@ -499,8 +574,8 @@ async function runPublication(publication, args = {}) {
           const changedSeq = changedSeqByFollower.generate(followerKey);
 
           /* Fetch the updated doc with the fields defined in the cusor options
-           * in order to recompute the children selectors and invalidate those
-           * that have changed. */
+           * in order to recompute the computed fields, as well as the children
+           * selectors and invalidate those that have changed. */
           const updatedDoc = await fetchOne(
             Coll,
             { _id },
@@ -513,6 +588,13 @@ async function runPublication(publication, args = {}) {
             return;
           }
 
+          if (computed) {
+            await publishComputed(_id, diffComputed(_id, updatedDoc));
+          }
+
+          /* If no child publication, no further processing required. */
+          if (!validChildren?.length) return;
+
           const newAncestors = [updatedDoc, ...ancestors];
 
           /* If deps are defined, invalidate observers only when
@@ -594,6 +676,10 @@ async function runPublication(publication, args = {}) {
 
           decrementDocCountAndRemoveIfZero(coll, _id);
 
+          /* Forget computed values, and drop in-flight evaluations */
+          computedValuesByDoc.delete(_id);
+          computedTokenByDoc.reset(_id);
+
           /* Unregister the document follower link from the observers... */
 
           /* Recreate the follower key that was used when doc was added. */
@@ -1,7 +1,13 @@
+import { withComputedDeps } from "./computed";
 import { dispatchFields } from "./fields";
-import { getJoins } from "./join";
-import { getProtocol } from "./protocol";
-import { hasOwn, isArr, isFunc, isObj } from "./util";
+import {
+  getJoins,
+  listPolymorphicTypes,
+  mergeTypeFields,
+  propName,
+} from "./join";
+import { getProtocolFor } from "./protocol";
+import { getPropValue, hasOwn, isArr, isFunc, isObj } from "./util";
 
 export const KEY_SEPARATOR = "|";
 
@@ -60,7 +66,7 @@ export function createRegistry() {
 
 /* Stringify arguments to collection cursor to create a key for debug messages */
 export function createDebugKey(Coll, selector = {}) {
-  const protocol = getProtocol();
+  const protocol = getProtocolFor(Coll);
   return [protocol.getName(Coll), protocol.stringify(selector)].join(
     KEY_SEPARATOR
   );
@@ -68,12 +74,12 @@ export function createDebugKey(Coll, selector = {}) {
 
 /* Stringify arguments to collection cursor to create a unique identifier */
 export function createQueryKey(Coll, selector = {}, options = {}) {
-  const protocol = getProtocol();
-  const { fields, limit, skip, sort } = options;
+  const protocol = getProtocolFor(Coll);
+  const { fields, limit, skip, sort, computed } = options;
 
   return (
     createDebugKey(Coll, selector) +
-    [fields, sort, limit, skip]
+    [fields, sort, limit, skip, computed?.keys.join(",")]
       .filter((x) => x !== undefined)
       .map((x) => {
         if (isObj(x)) return protocol.stringify(x);
@@ -202,8 +208,9 @@ function deriveArgsDeps({ deps, selector, on = selector }) {
   /* If selector is an array, derive implicit deps from it. */
   const [from] = on;
 
-  /* `from` can be either a prop or a nested array prop */
-  const implicitDep = isArr(from) ? from[0] : from;
+  /* `from` can be either a prop or a nested array prop.
+   * Changed fields are top-level keys, so a dot path depends on its root. */
+  const implicitDep = propName(from).split(".")[0];
 
   if (isArr(normalizedDeps)) return [implicitDep, ...normalizedDeps];
   if (isFunc(normalizedDeps)) return [implicitDep, normalizedDeps];
@@ -286,44 +293,46 @@ export async function interpretSelector(selector, ancestors = []) {
 
     const [from, to, toSelector] = selector;
 
+    /* Props can be dot paths such as "meta.ownerId" or "assignees.userId". */
+    const fromPath = propName(from);
+    const toPath = propName(to);
+    const parentValue = getPropValue(fromPath, parent);
+
     /* If first element is an array as in `[["propToChildrenVals"], "childProp"]`,
      * `childrenPropVals` on parent document contains a list
-     * of values associated with the joined `childProp`. */
-    const fromArray = isArr(from);
+     * of values associated with the joined `childProp`.
+     * A dot path through an array of subdocuments also resolves to a list. */
+    const fromArray =
+      isArr(from) || (fromPath.includes(".") && isArr(parentValue));
 
     /* If second element is an array as in `["parentProp", ["propToParentVals"]]`,
      * `propToParentVals` on children documents contain lists of values
-     * associated with the joined `parentProp`. */
-    const toArray = isArr(to);
+     * associated with the joined `parentProp`.
+     * Dot paths match values of arrays they traverse without `$elemMatch`. */
+    const toArray = isArr(to) && !toPath.includes(".");
 
     let joinSelector;
 
+    if (parentValue === undefined) return VOID_SELECTOR;
+
     /* ["propToChildVal", "childProp"] */
     if (!fromArray && !toArray) {
-      const parentValue = parent[from];
-      if (parentValue === undefined) return VOID_SELECTOR;
-      joinSelector = { [to]: parentValue };
+      joinSelector = { [toPath]: parentValue };
     }
 
     /* [["propToChildrenVals"], "childProp"] */
     if (fromArray && !toArray) {
-      const parentValues = parent[from[0]];
-      if (parentValues === undefined) return VOID_SELECTOR;
-      joinSelector = { [to]: { $in: parentValues || [] } };
+      joinSelector = { [toPath]: { $in: parentValue || [] } };
     }
 
     /* ["parentProp", ["propToParentVals"]] */
     if (!fromArray && toArray) {
-      const parentValue = parent[from];
-      if (parentValue === undefined) return VOID_SELECTOR;
-      joinSelector = { [to[0]]: { $elemMatch: { $eq: parentValue } } };
+      joinSelector = { [toPath]: { $elemMatch: { $eq: parentValue } } };
     }
 
     /* [["propToChildrenVals"], ["propToParentVals"]] */
     if (fromArray && toArray) {
-      const parentValues = parent[from[0]];
-      if (parentValues === undefined) return VOID_SELECTOR;
-      joinSelector = { [to[0]]: { $elemMatch: { $in: parentValues || [] } } };
+      joinSelector = { [toPath]: { $elemMatch: { $in: parentValue || [] } } };
     }
 
     /* Unlikely because all four cases have been considered... */
@@ -369,6 +378,7 @@ export function createDebugLog(debug) {
  *   and implicitly in parent `fields` join section
  * - parent own fields are separated from join fields and only own fields
  *   remain on the normalized parent args
+ * - requested computed fields are replaced by their own deps
  */
 export function normalizeArgs({
   Coll,
@@ -382,8 +392,15 @@ export function normalizeArgs({
 }) {
   const joins = getJoins(Coll);
 
+  /* Replace requested computed fields by their deps.
+   * Their values are evaluated by the observer from own fields only,
+   * so joins they depend on are not published unless requested. */
+  const computed = withComputedDeps(Coll, fields);
+  const fetchedFields = computed ? computed.fields : fields;
+
   /* Partition field spec into own (base collection) and join fields ('+') */
-  const { _: ownFields, "+": joinFields = {} } = dispatchFields(fields, joins);
+  const { _: ownFields } = dispatchFields(fetchedFields, joins);
+  const { "+": joinFields = {} } = dispatchFields(fields, joins);
 
   const joinKeys = Object.keys(joinFields);
 
@@ -393,7 +410,7 @@ export function normalizeArgs({
     }
 
     if (!isObj(childArgs)) {
-      const protocol = getProtocol();
+      const protocol = getProtocolFor(Coll);
       throw new Error(
         `Each child of '${protocol.getName(Coll)}' collection must be an object or a falsy value to ignore.`
       );
@@ -408,10 +425,10 @@ export function normalizeArgs({
       );
     }
 
-    return [...acc, joinToArgs(Coll, explicitJoinKey, rest)];
+    return [...acc, ...joinToArgs(Coll, explicitJoinKey, rest)];
   }, []);
 
-  const additionalJoinChildren = joinKeys.map((joinKey) =>
+  const additionalJoinChildren = joinKeys.flatMap((joinKey) =>
     joinToArgs(Coll, joinKey, { debug, fields: joinFields[joinKey] })
   );
 
@@ -428,7 +445,7 @@ export function normalizeArgs({
   );
 
   const ownFieldsWithDeps =
-    fields === undefined || ownFields === undefined
+    fetchedFields === undefined || ownFields === undefined
       ? ownFields
       : { ...ownFields, ...ownFieldsFromDeps };
 
@@ -440,14 +457,16 @@ export function normalizeArgs({
     deps,
     debug,
     on,
+    ...(computed && { computed }),
     ...rest,
   };
 }
 
-/* Expand a join key declared on a parent collection into full child args.
+/* Expand a join key declared on a parent collection into a list of full child args.
  *
- * Returned child args inherit selector/deps/limit from the join definition,
+ * Returned child args inherit selector/deps/limit/skip/sort from the join definition,
  * and can be overridden with `rest` (for example `fields`, `children`, `sort`...).
+ * A polymorphic join expands into one child per type.
  * It intentionally does not recursively normalize descendants here.
  * Descendant args are normalized later when their own observer is created.
  */
@@ -455,22 +474,78 @@ function joinToArgs(Coll, joinKey, rest) {
   const join = getJoins(Coll)?.[joinKey];
 
   if (!join) {
-    const protocol = getProtocol();
+    const protocol = getProtocolFor(Coll);
 
     throw new Error(
       `Join '${joinKey}' is not defined on collection '${protocol.getName(Coll)}'.`
     );
   }
 
-  const { Coll: ChildColl, on, fields, deps = fields, limit, single } = join;
+  if (join.aggregate) {
+    throw new Error(
+      `Join '${joinKey}' attaches an aggregated value and can't be published.`
+    );
+  }
 
-  return {
+  if (join.through) {
+    throw new Error(
+      `Join '${joinKey}' is defined 'through' a junction collection and can't be published.`
+    );
+  }
+
+  const {
+    Coll: ChildColl,
+    on,
+    fields,
+    deps = fields,
+    limit,
+    skip,
+    sort,
+    single,
+    polymorphic,
+  } = join;
+
+  const args = {
     Coll: ChildColl,
     on,
     deps,
     limit: single ? 1 : limit,
+    skip,
+    sort,
     ...rest,
   };
+
+  if (!polymorphic) return [args];
+
+  /* Each type child only selects docs for parents of its type.
+   * Parents of other types get a void selector, which bypasses the observer. */
+  const { discriminator } = polymorphic;
+  const typeDeps = withDiscriminatorDep(
+    deriveArgsDeps({ deps, on }),
+    discriminator
+  );
+
+  return listPolymorphicTypes(polymorphic).map(
+    ([type, { Coll: TypeColl, fields: typeFields }]) => ({
+      ...args,
+      Coll: TypeColl,
+      on: (parent, ...ancestors) =>
+        parent?.[discriminator] === type
+          ? interpretSelector(on, [parent, ...ancestors])
+          : VOID_SELECTOR,
+      deps: typeDeps,
+      fields: mergeTypeFields(rest.fields, typeFields),
+    })
+  );
+}
+
+/* A change of the discriminator changes the child collection,
+ * so it must invalidate the children of a polymorphic join. */
+function withDiscriminatorDep(deps, discriminator) {
+  if (deps === undefined || deps === true) return deps;
+  if (deps === false) return [discriminator];
+  if (isArr(deps)) return [discriminator, ...deps];
+  return [discriminator, deps];
 }
 
 function deriveParentFieldDeps({ deps, selector, on = selector }) {
@@ -478,7 +553,7 @@ function deriveParentFieldDeps({ deps, selector, on = selector }) {
 
   if (isArr(on)) {
     const [from] = on;
-    const fromDep = isArr(from) ? from[0] : from;
+    const fromDep = propName(from);
     if (typeof fromDep === "string") parentFieldDeps.add(fromDep);
   }
 
@@ -1,7 +1,8 @@
+import { clearCache } from "./cache";
 import { fetchList } from "./fetch";
 import { combineFields } from "./fields";
 import { getHook } from "./hook";
-import { getProtocol } from "./protocol";
+import { getProtocolFor } from "./protocol";
 import { fireAndForget, isFunc, then } from "./util";
 
 /**
@@ -11,7 +12,8 @@ import { fireAndForget, isFunc, then } from "./util";
  * 1) Compute the minimal fields to fetch for hooks (union of beforeRemove/onRemoved fields).
  * 2) If any hook is defined, fetch the matching documents once with those fields.
  * 3) Run `beforeRemove` hook (if present) with the array of docs.
- * 4) Call protocol.remove(Coll, selector).
+ * 4) Call protocol.remove(Coll, selector). If any doc was removed,
+ *    invalidate cached query results depending on the collection.
  * 5) If something was removed and `onRemoved` exists, call it once per doc (fire-and-forget).
  *
  * Notes:
@@ -34,7 +36,7 @@ import { fireAndForget, isFunc, then } from "./util";
  * const n = await remove(Posts, { authorId });
  */
 export function remove(Coll, selector) {
-  const protocol = getProtocol();
+  const protocol = getProtocolFor(Coll);
 
   const beforeRemoveHook = getHook(Coll, "beforeRemove");
   const onRemovedHook = getHook(Coll, "onRemoved");
@@ -59,6 +61,8 @@ export function remove(Coll, selector) {
             // Execute actual removal (can be sync or a Promise<number>)
             protocol.remove(Coll, selector),
             (removedCount) => {
+              if (removedCount) clearCache(Coll);
+
               /* If removal did nothing or there is no onRemoved hook, return as-is */
               if (!removedCount || !isFunc(onRemovedHook?.fn))
                 return removedCount;
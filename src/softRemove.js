@@ -1,5 +1,5 @@
 import { isFunc, isObj, then } from "./util";
-import { getProtocol } from "./protocol";
+import { getProtocolFor } from "./protocol";
 import { exists, fetchList } from "./fetch";
 import { update } from "./update";
 import { remove } from "./remove";
@@ -70,7 +70,7 @@ export function registerSoftRemove(
     throw new TypeError("Collection must be an object");
   }
 
-  const protocol = getProtocol();
+  const protocol = getProtocolFor(Coll);
 
   const collName = protocol.getName(Coll);
 
@@ -110,7 +110,7 @@ function getSortRemoveArgs(Coll) {
   const registeredArgs = softRemoveRegistry.get(Coll);
 
   if (!registeredArgs) {
-    const protocol = getProtocol();
+    const protocol = getProtocolFor(Coll);
 
     const collName = protocol.getName(Coll);
 
@@ -0,0 +1,214 @@
+import { clearCache } from "./cache";
+import { registerBuiltInMiddleware, resolveProtocol } from "./protocol";
+import { createScopeStorage, supportsAsyncScope, then } from "./util";
+
+/* Position of the options argument of the protocol methods
+ * receiving the session. `observe` is left out, since change streams
+ * can't be opened within a transaction. */
+const OPTIONS_INDEXES = {
+  aggregate: 2,
+  bulkWrite: 2,
+  count: 2,
+  distinct: 3,
+  findList: 2,
+  insert: 2,
+  insertMany: 2,
+  remove: 2,
+  replaceOne: 3,
+  update: 3,
+  upsert: 3,
+};
+
+const WRITE_METHODS = [
+  "bulkWrite",
+  "insert",
+  "insertMany",
+  "remove",
+  "replaceOne",
+  "update",
+  "upsert",
+];
+
+/**
+ * Storage of the current transaction.
+ * @type {{getStore: () => Transaction|undefined, run: Function}}
+ * @internal
+ */
+const transactionStorage = createScopeStorage();
+
+/**
+ * @typedef {Object} TransactionContext
+ * @property {(Coll: any) => any} getSession - Return the driver session of the
+ *   protocol serving a collection (or a promise of it), starting it if necessary.
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {TransactionContext} ctx - Context passed to the transaction function.
+ * @property {Object} [options] - Options passed to `session.startTransaction`.
+ * @property {Map<Object, *>} sessions - Started sessions (or promises of them) by protocol.
+ * @property {Function[]} deferred - After hooks calls to run once committed.
+ * @property {Set<*>} colls - Collections written in the transaction.
+ * @internal
+ */
+
+/**
+ * Run a function within a transaction.
+ *
+ * Within the function, every protocol call (including hooks prefetches and
+ * re-fetches, and writes made by `beforeX` hooks) receives the `session` option.
+ * Sessions are started with the `startSession(Coll)` method of the protocol serving
+ * each collection, on its first call: collections served by different protocols
+ * (see `bindProtocol`) run in distinct transactions, committed in sequence.
+ * Transactions are committed once the function resolves, or aborted if it throws.
+ *
+ * Fire-and-forget hooks (`onInserted`, `onUpdated` and `onRemoved`) triggered
+ * within the transaction are deferred until it is committed, and discarded
+ * if it is aborted. They then run outside of the transaction.
+ *
+ * Calling `withTransaction` within a transaction joins the current one.
+ *
+ * @template T
+ * @param {(ctx: TransactionContext) => T|Promise<T>} fn - Function to run within the transaction.
+ * @param {Object} [options] - Optional. Options passed to `session.startTransaction`.
+ * @returns {Promise<T>} The result of `fn`, once committed.
+ * @throws {Error} If the runtime doesn't provide `AsyncLocalStorage`
+ *   (Node.js 20.16 or later): calls made after an `await` would escape the transaction.
+ *
+ * @example
+ * await withTransaction(async () => {
+ *   await update(Accounts, { _id: from }, { $inc: { balance: -amount } });
+ *   await update(Accounts, { _id: to }, { $inc: { balance: amount } });
+ * });
+ */
+export async function withTransaction(fn, options) {
+  if (!supportsAsyncScope()) {
+    throw new Error(
+      "'withTransaction' requires AsyncLocalStorage (Node.js 20.16 or later)."
+    );
+  }
+
+  const current = transactionStorage.getStore();
+  if (current) return fn(current.ctx);
+
+  registerBuiltInMiddleware("transaction", transactionMiddleware);
+
+  const transaction = {
+    options,
+    sessions: new Map(),
+    deferred: [],
+    colls: new Set(),
+  };
+
+  transaction.ctx = {
+    getSession: (Coll) => getSession(transaction, Coll, resolveProtocol(Coll)),
+  };
+
+  let committed = false;
+
+  try {
+    let result;
+    try {
+      result = await transactionStorage.run(transaction, () =>
+        fn(transaction.ctx)
+      );
+    } catch (error) {
+      // Report the function error rather than abort failures
+      await Promise.all(
+        (await listSessions(transaction)).map((session) =>
+          Promise.resolve()
+            .then(() => session.abortTransaction())
+            .catch(() => {})
+        )
+      );
+      throw error;
+    }
+
+    // If a commit fails, next transactions are aborted by `endSession`
+    for (const session of await listSessions(transaction)) {
+      await session.commitTransaction();
+    }
+
+    committed = true;
+    return result;
+  } finally {
+    // Results cached while the transaction was pending might not be valid anymore
+    transaction.colls.forEach((Coll) => clearCache(Coll));
+
+    await Promise.all(
+      (await listSessions(transaction)).map((session) => session.endSession())
+    );
+
+    if (committed) transaction.deferred.forEach((run) => run());
+  }
+}
+
+/**
+ * Defer a function until the current transaction is committed.
+ * The function is dropped if the transaction is aborted.
+ *
+ * @param {Function} fn - Function to defer.
+ * @returns {boolean} False if there is no current transaction (`fn` should run right away).
+ * @internal
+ */
+export function deferUntilCommit(fn) {
+  const transaction = transactionStorage.getStore();
+  if (!transaction) return false;
+
+  transaction.deferred.push(fn);
+  return true;
+}
+
+/**
+ * Whether the caller runs within a transaction.
+ *
+ * @returns {boolean}
+ * @internal
+ */
+export function isInTransaction() {
+  return Boolean(transactionStorage.getStore());
+}
+
+/* Protocol middleware passing the session of the current transaction
+ * to protocol calls and tracking the written collections. */
+function transactionMiddleware(ctx, next) {
+  const transaction = transactionStorage.getStore();
+  const index = OPTIONS_INDEXES[ctx.method];
+  if (!transaction || index === undefined) return next();
+
+  if (WRITE_METHODS.includes(ctx.method)) transaction.colls.add(ctx.Coll);
+
+  return then(getSession(transaction, ctx.Coll, ctx.protocol), (session) => {
+    const args = Array.from(
+      { length: Math.max(ctx.args.length, index + 1) },
+      (_, i) => ctx.args[i]
+    );
+    args[index] = { ...args[index], session };
+
+    return next(args);
+  });
+}
+
+/* Return the session of a transaction for a protocol (or a promise of it),
+ * starting it and its transaction on first use. */
+function getSession(transaction, Coll, protocol) {
+  if (!transaction.sessions.has(protocol)) {
+    transaction.sessions.set(
+      protocol,
+      then(protocol.startSession(Coll), (session) =>
+        then(session.startTransaction(transaction.options), () => session)
+      )
+    );
+  }
+
+  return transaction.sessions.get(protocol);
+}
+
+/* List the sessions of a transaction that could be started. */
+async function listSessions(transaction) {
+  const results = await Promise.allSettled(transaction.sessions.values());
+
+  return results
+    .filter(({ status }) => status === "fulfilled")
+    .map(({ value }) => value);
+}
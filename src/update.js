@@ -1,8 +1,10 @@
+import { clearCache } from "./cache";
 import { fetchList } from "./fetch";
 import { combineFields } from "./fields";
 import { getHook } from "./hook";
-import { getProtocol } from "./protocol";
-import { fireAndForget, indexById, isFunc, then } from "./util";
+import { runOnInserted } from "./insert";
+import { getProtocolFor, hasProtocolMethod } from "./protocol";
+import { fireAndForget, indexById, isFunc, isNil, then } from "./util";
 
 /**
  * Update documents in a collection with hook support.
@@ -11,7 +13,8 @@ import { fireAndForget, indexById, isFunc, then } from "./util";
  * 1) Determine the minimal fields to prefetch for hooks (union of beforeUpdate/onUpdated needs).
  * 2) If any hook exists, fetch the target documents once with those fields (limit 1 if multi=false).
  * 3) Run `beforeUpdate` hook with (docs, modifier) if present.
- * 4) Execute protocol.update(Coll, selector, modifier, options).
+ * 4) Execute protocol.update(Coll, selector, modifier, options). If any doc
+ *    was updated, invalidate cached query results depending on the collection.
  * 5) If some docs were modified and `onUpdated` exists:
  *    - Re-fetch affected docs by _id with `onUpdated.fields`
  *    - Call `onUpdated(afterDoc, beforeDoc)` for each (fire-and-forget).
@@ -19,6 +22,9 @@ import { fireAndForget, indexById, isFunc, then } from "./util";
  * Notes:
  * - Uses `then` helper to normalize sync/async protocols and hooks.
  * - `onUpdated` is not awaited; it is intended for side effects.
+ * - With `upsert: true`, the update runs like `upsert` (with `multi: true` by
+ *   default), upsert hooks included. It still returns a count: use `upsert`
+ *   to get the inserted _id.
  *
  * @template TColl
  * @param {TColl} Coll - The collection instance.
@@ -26,7 +32,8 @@ import { fireAndForget, indexById, isFunc, then } from "./util";
  * @param {Object} modifier - MongoDB-style update modifier (e.g., {$set: {...}}).
  * @param {Object} [options] - Update options.
  * @param {boolean} [options.multi=true] - Update multiple documents by default.
- * @returns {number|Promise<number>} Number of modified documents (driver-dependent).
+ * @param {boolean} [options.upsert=false] - Insert a document if none matches.
+ * @returns {number|Promise<number>} Number of modified (or upserted) documents (driver-dependent).
  *
  * @example
  * // Activate all pending users
@@ -42,78 +49,239 @@ export function update(
   modifier,
   {
     multi = true, // Ensure update targets multiple documents by default.
+    upsert: isUpsert = false,
     ...restOptions
   } = {}
 ) {
-  const protocol = getProtocol();
+  if (isUpsert) {
+    return then(
+      upsert(Coll, selector, modifier, { multi, ...restOptions }),
+      (res) => res?.numberAffected
+    );
+  }
 
-  const beforeUpdateHook = getHook(Coll, "beforeUpdate");
-  const onUpdatedHook = getHook(Coll, "onUpdated");
+  const protocol = getProtocolFor(Coll);
+  const options = { multi, ...restOptions };
+
+  return updateWithHooks(Coll, selector, modifier, { multi }, () =>
+    then(
+      /* Execute the update */
+      protocol.update(Coll, selector, modifier, options),
+      (updatedCount) => ({ count: updatedCount, result: updatedCount })
+    )
+  );
+}
+
+/**
+ * Replace a single document with hook support.
+ *
+ * Runs the same flow as `update` with `multi: false`, the replacement document
+ * taking the place of the modifier: `beforeUpdate` receives `(docs, replacement)`
+ * and `onUpdated` is called with the replaced document.
+ *
+ * Requires the optional protocol `replaceOne` method.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style selector to match the document.
+ * @param {Object} doc - Replacement document (without update operators).
+ * @param {Object} [options] - Optional. Options to pass to the protocol.
+ * @returns {number|Promise<number>} Number of replaced documents (0 or 1).
+ *
+ * @example
+ * await replaceOne(Settings, { _id: 'main' }, { theme: 'dark', lang: 'fr' });
+ */
+export function replaceOne(Coll, selector, doc, options) {
+  const protocol = getProtocolFor(Coll);
 
+  return updateWithHooks(Coll, selector, doc, { multi: false }, () =>
+    then(
+      protocol.replaceOne(Coll, selector, doc, options),
+      (replacedCount) => ({
+        count: replacedCount,
+        result: replacedCount,
+      })
+    )
+  );
+}
+
+/**
+ * Update documents or insert one if none matches, with hook support.
+ *
+ * Runs the same flow as `update` (a single document is targeted unless `multi`).
+ * If no document matches, `beforeUpdate` receives an empty array and `beforeUpsert`
+ * receives `(selector, modifier)`: changes it makes to the modifier are written.
+ * The inserted document is then passed to `onInserted` rather than `onUpdated`.
+ *
+ * Uses the optional protocol `upsert` method. Otherwise, calls protocol.update
+ * with the `upsert` option: the inserted _id is then unknown, and `onInserted`
+ * isn't called.
+ *
+ * @template TColl
+ * @param {TColl} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style selector to match documents.
+ * @param {Object} modifier - MongoDB-style update modifier.
+ * @param {Object} [options] - Upsert options.
+ * @param {boolean} [options.multi=false] - Update all matching documents.
+ * @returns {{numberAffected: number, insertedId?: any}|Promise<{numberAffected: number, insertedId?: any}>}
+ *   Number of modified (or inserted) documents, and the inserted _id if any.
+ *
+ * @example
+ * const { insertedId } = await upsert(
+ *   Counters,
+ *   { name: 'visits' },
+ *   { $inc: { count: 1 } }
+ * );
+ */
+export function upsert(
+  Coll,
+  selector,
+  modifier,
+  { multi = false, ...restOptions } = {}
+) {
+  const protocol = getProtocolFor(Coll);
   const options = { multi, ...restOptions };
 
+  return updateWithHooks(
+    Coll,
+    selector,
+    modifier,
+    { multi, upsert: true },
+    () => {
+      if (hasProtocolMethod(Coll, "upsert")) {
+        return then(
+          protocol.upsert(Coll, selector, modifier, options),
+          (res) => ({
+            count: res?.numberAffected,
+            insertedId: res?.insertedId,
+            result: res,
+          })
+        );
+      }
+
+      return then(
+        protocol.update(Coll, selector, modifier, { ...options, upsert: true }),
+        (count) => ({ count, result: { numberAffected: count ?? 0 } })
+      );
+    }
+  );
+}
+
+/**
+ * Run a write targeting documents with the update hooks flow.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object} selector - MongoDB-style selector to match documents.
+ * @param {Object} modifier - Modifier or replacement passed to `beforeUpdate`.
+ * @param {{multi: boolean, upsert?: boolean}} options - Whether several documents
+ *   are targeted, and whether a document is inserted if none matches.
+ * @param {() => {count: number, insertedId?: any, result: any}|Promise<{count: number, insertedId?: any, result: any}>} write
+ *   Execute the write through the protocol and normalize its result.
+ * @returns {any|Promise<any>} The write result.
+ * @internal
+ */
+function updateWithHooks(
+  Coll,
+  selector,
+  modifier,
+  { multi, upsert = false },
+  write
+) {
+  const beforeUpdateHook = getHook(Coll, "beforeUpdate");
+  const onUpdatedHook = getHook(Coll, "onUpdated");
+  const beforeUpsertHook = upsert ? getHook(Coll, "beforeUpsert") : undefined;
+
   // Fields to prefetch before update (null => no hooks => no prefetch)
   const fieldsBefore = getBeforeFields(beforeUpdateHook, onUpdatedHook);
 
+  // Otherwise, a single _id tells whether `beforeUpsert` should run
+  const matchesOnly = fieldsBefore === null && isFunc(beforeUpsertHook?.fn);
+
   return then(
     /* Fetch docs only if at least one hook has been defined. */
-    fieldsBefore === null
+    fieldsBefore === null && !matchesOnly
       ? []
       : fetchList(Coll, selector, {
-          fields: fieldsBefore,
-          limit: multi ? undefined : 1,
+          fields: matchesOnly ? { _id: 1 } : fieldsBefore,
+          limit: multi && !matchesOnly ? undefined : 1,
         }),
     (docs) => {
       return then(
-        /* Run `beforeUpdate` hook if defined.
-         * Can throw an error to prevent update. */
-        isFunc(beforeUpdateHook?.fn) && beforeUpdateHook.fn(docs, modifier),
+        /* Run `beforeUpdate` hook if defined, then `beforeUpsert` if no
+         * document matches. Can throw an error to prevent update. */
+        then(
+          isFunc(beforeUpdateHook?.fn) && beforeUpdateHook.fn(docs, modifier),
+          () =>
+            isFunc(beforeUpsertHook?.fn) && !docs.length
+              ? beforeUpsertHook.fn(selector, modifier)
+              : undefined
+        ),
 
         () => {
-          return then(
-            /* Execute the update */
-            protocol.update(Coll, selector, modifier, options),
-
-            (updatedCount) => {
-              /* If update didn't work, don't execute comparators. */
-              if (!updatedCount || !isFunc(onUpdatedHook?.fn))
-                return updatedCount;
-
-              /* Save a version of targeted docs prior to the update */
-              const beforeById = indexById(docs);
-
-              return then(
-                /* Fetch again each targeted document by its previously saved _id */
-                fetchList(
-                  Coll,
-                  { _id: { $in: Object.keys(beforeById) } },
-                  { fields: onUpdatedHook.fields }
-                ),
-
-                (afterDocs) => {
-                  /* Pass each after and before pairs to `onUpdated` hook.
-                   * Do NOT await, should run asynchronously if protocol allows. */
-                  fireAndForget(
-                    () =>
-                      afterDocs.forEach((after) => {
-                        const before = beforeById[after._id];
-                        onUpdatedHook.fn(after, before);
-                      }),
-                    // eslint-disable-next-line no-console
-                    (err) => console?.error("'onUpdated' error:", err)
-                  );
-
-                  return updatedCount;
-                }
-              );
-            }
-          );
+          return then(write(), ({ count, insertedId, result }) => {
+            if (count) clearCache(Coll);
+
+            /* If update didn't work, don't execute comparators. */
+            if (!count) return result;
+
+            return then(
+              [
+                runOnUpdated(Coll, docs),
+                isNil(insertedId)
+                  ? undefined
+                  : runOnInserted(Coll, [insertedId]),
+              ],
+              () => result
+            );
+          });
         }
       );
     }
   );
 }
 
+/**
+ * Pass updated documents to the `onUpdated` hook of a collection, if defined.
+ * Targeted documents are fetched again by their previously saved _id
+ * in a single query, then each after and before pair is passed to the hook.
+ * The hook itself is not awaited.
+ *
+ * @param {*} Coll - The collection instance.
+ * @param {Object[]} docs - Targeted documents, as fetched before the update.
+ * @returns {undefined|Promise<undefined>} Resolves once docs are fetched again.
+ * @internal
+ */
+export function runOnUpdated(Coll, docs) {
+  const onUpdatedHook = getHook(Coll, "onUpdated");
+  if (!isFunc(onUpdatedHook?.fn) || !docs.length) return undefined;
+
+  /* Save a version of targeted docs prior to the update */
+  const beforeById = indexById(docs);
+
+  return then(
+    /* Fetch again each targeted document by its previously saved _id */
+    fetchList(
+      Coll,
+      { _id: { $in: Object.keys(beforeById) } },
+      { fields: onUpdatedHook.fields }
+    ),
+
+    (afterDocs) => {
+      /* Pass each after and before pairs to `onUpdated` hook.
+       * Do NOT await, should run asynchronously if protocol allows. */
+      fireAndForget(
+        () =>
+          afterDocs.forEach((after) => {
+            const before = beforeById[after._id];
+            onUpdatedHook.fn(after, before);
+          }),
+        // eslint-disable-next-line no-console
+        (err) => console?.error("'onUpdated' error:", err)
+      );
+    }
+  );
+}
+
 /**
  * Compute fields to prefetch before the update for hooks.
  *
@@ -129,7 +297,7 @@ export function update(
  *   Combined fields, or null if there are no hooks at all.
  * @internal
  */
-function getBeforeFields(beforeHook, afterHook) {
+export function getBeforeFields(beforeHook, afterHook) {
   /* If no hooks, return null */
   if (!beforeHook && !afterHook) return null;
 
@@ -1,3 +1,4 @@
+import EJSON from "ejson";
 import { nanoid } from "nanoid/non-secure";
 
 /* No-op function definition */
@@ -348,6 +349,181 @@ export function hasOwn(obj, key) {
     : Object.prototype.hasOwnProperty.call(obj, key);
 }
 
+/**
+ * Deep copy plain objects, arrays and dates.
+ * Other objects (ex: driver ObjectIds, binaries) are kept as is, where
+ * `EJSON.clone` would turn unknown classes into plain objects.
+ * @param {any} x
+ * @returns {any}
+ * @internal
+ */
+export function deepCopy(x) {
+  if (isArr(x)) return x.map(deepCopy);
+  if (x instanceof Date) return new Date(x.getTime());
+  if (!x || typeof x !== "object") return x;
+
+  const proto = Object.getPrototypeOf(x);
+  if (proto !== Object.prototype && proto !== null) return x;
+
+  return Object.fromEntries(
+    Object.entries(x).map(([key, value]) => [key, deepCopy(value)])
+  );
+}
+
+/* MongoDB-like ordering of value types used for sorting and comparisons.
+ * Missing values and `null` are considered equivalent. */
+const TYPES_ORDER = [
+  "null",
+  "number",
+  "string",
+  "object",
+  "array",
+  "boolean",
+  "date",
+  "regexp",
+];
+
+/**
+ * Resolve all the values reached by a dot-notation path.
+ * Arrays met along the path are traversed (numeric keys index them).
+ * Returns `[undefined]` when the path doesn't lead anywhere.
+ *
+ * @param {Object} doc
+ * @param {string} path
+ * @returns {any[]}
+ */
+export function lookupBranches(doc, path) {
+  const branches = lookup(doc, path.split("."));
+  return branches.length ? branches : [undefined];
+}
+
+function lookup(value, keys) {
+  if (!keys.length) return [value];
+
+  const [key, ...rest] = keys;
+
+  if (isArr(value)) {
+    const byIndex = /^\d+$/.test(key) ? lookup(value[Number(key)], rest) : [];
+    const byElement = value.flatMap((el) =>
+      isObj(el) ? lookup(el, keys) : []
+    );
+    return [...byIndex, ...byElement];
+  }
+
+  if (isObj(value)) return lookup(value[key], rest);
+
+  return [undefined];
+}
+
+/**
+ * Rank of a value type in the MongoDB-like types ordering.
+ * @param {any} x
+ * @returns {number}
+ * @internal
+ */
+export function typeRank(x) {
+  const type = isNil(x) ? "null" : typeOf(x);
+  const index = TYPES_ORDER.indexOf(type);
+  return index < 0 ? TYPES_ORDER.length : index;
+}
+
+/**
+ * Compare two values following a MongoDB-like ordering.
+ * Values of different types are ordered by type.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {number} Negative, zero or positive.
+ */
+export function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff) return rankDiff;
+
+  if (isNil(a)) return 0;
+
+  switch (typeOf(a)) {
+    case "number":
+    case "boolean":
+      return Number(a) - Number(b);
+    case "date":
+      return a.getTime() - b.getTime();
+    case "string":
+      return a < b ? -1 : a > b ? 1 : 0;
+    case "array": {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const diff = compareValues(a[i], b[i]);
+        if (diff) return diff;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const [strA, strB] = [a, b].map((x) =>
+        EJSON.stringify(x, { canonical: true })
+      );
+      return strA < strB ? -1 : strA > strB ? 1 : 0;
+    }
+  }
+}
+
+/**
+ * Sort documents with a MongoDB-style sort specifier.
+ * Accepts `{ key: 1|-1 }` objects or `[[key, 'asc'|'desc']]` arrays.
+ * Array values sort by their smallest (ascending) or largest (descending) element,
+ * empty arrays like missing values.
+ * Returns a new array.
+ *
+ * @param {Object|Array|undefined} sort
+ * @param {Object[]} docs
+ * @returns {Object[]}
+ */
+export function sortDocs(sort, docs) {
+  const entries = normalizeSort(sort);
+  if (!entries.length) return [...docs];
+
+  return [...docs].sort((a, b) => {
+    for (const [key, dir] of entries) {
+      const diff = compareValues(
+        sortValue(a, key, dir),
+        sortValue(b, key, dir)
+      );
+      if (diff) return diff * dir;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Normalize a sort specifier to a list of `[key, 1|-1]` tuples.
+ * @param {Object|Array|undefined} sort
+ * @returns {Array<[string, 1|-1]>}
+ */
+export function normalizeSort(sort) {
+  if (!sort) return [];
+
+  const entries = isArr(sort)
+    ? sort.map((entry) => (isArr(entry) ? entry : [entry, 1]))
+    : Object.entries(sort);
+
+  return entries.map(([key, dir]) => [
+    key,
+    dir === -1 || dir === "desc" || dir === "descending" ? -1 : 1,
+  ]);
+}
+
+/* Like MongoDB, ascending sorts compare the smallest array element,
+ * descending ones the largest. */
+function sortValue(doc, key, dir) {
+  const values = lookupBranches(doc, key).flatMap((value) =>
+    isArr(value) ? (value.length ? value : [undefined]) : [value]
+  );
+
+  return values.reduce((acc, value) => {
+    const diff = compareValues(value, acc);
+    return diff * dir < 0 ? value : acc;
+  });
+}
+
 export function createTokensRegistry(
   generatorFn = () => nanoid() // (prevToken)
 ) {
@@ -411,3 +587,40 @@ export function createTokensRegistry(
     },
   };
 }
+
+/* Create a storage holding a value for the duration of a function call.
+ * Uses `AsyncLocalStorage` when the runtime provides it, so that the value
+ * follows async continuations. Otherwise, the value is only visible to calls
+ * issued synchronously by the function. */
+export function createScopeStorage() {
+  const AsyncLocalStorage = getAsyncLocalStorage();
+  if (AsyncLocalStorage) return new AsyncLocalStorage();
+
+  let current;
+
+  return {
+    getStore: () => current,
+    run(store, fn) {
+      const prev = current;
+      current = store;
+
+      try {
+        return fn();
+      } finally {
+        current = prev;
+      }
+    },
+  };
+}
+
+/* Whether scope storages follow async continuations. */
+export function supportsAsyncScope() {
+  return Boolean(getAsyncLocalStorage());
+}
+
+/* Return the `AsyncLocalStorage` class when the runtime provides it
+ * synchronously (Node.js 20.16 or later), undefined otherwise. */
+function getAsyncLocalStorage() {
+  return globalThis.process?.getBuiltinModule?.("node:async_hooks")
+    ?.AsyncLocalStorage;
+}
@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fetchList } from "../src/fetch";
+import { bindProtocol } from "../src/protocol";
+import memory from "../src/protocols/memory";
+
+class Id {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+describe("fetchList cache", () => {
+  it("returns copies of the cached docs, keeping class instances", async () => {
+    const Coll = { name: "items" };
+    let calls = 0;
+    bindProtocol(Coll, {
+      ...memory,
+      findList: (...args) => {
+        calls += 1;
+        return memory
+          .findList(...args)
+          .map((doc) => ({ ...doc, ref: new Id(1) }));
+      },
+    });
+    memory.insert(Coll, { _id: "a", tags: ["x"] });
+
+    const [first] = await fetchList(Coll, {}, { cache: true });
+    first.tags.push("y");
+
+    const [second] = await fetchList(Coll, {}, { cache: true });
+    assert.equal(calls, 1);
+    assert.deepEqual(second.tags, ["x"]);
+    assert.ok(second.ref instanceof Id);
+  });
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+
+import { fetchList, fetchPage } from "../src/fetch";
+import { join } from "../src/join";
+import { bindProtocol } from "../src/protocol";
+import memory from "../src/protocols/memory";
+import node from "../src/protocols/node";
+
+/* New memory collection with the given documents */
+function createColl(name, docs = []) {
+  const Coll = { name };
+  docs.forEach((doc) => memory.insert(Coll, doc));
+  return Coll;
+}
+
+describe("fetchList lookup mode", () => {
+  const fields = { title: 1, authorId: 1, author: { name: 1 } };
+  const expected = [
+    {
+      _id: "p1",
+      title: "One",
+      authorId: "a1",
+      author: { _id: "a1", name: "Ann" },
+    },
+    {
+      _id: "p2",
+      title: "Two",
+      authorId: "a2",
+      author: { _id: "a2", name: "Bob" },
+    },
+  ];
+
+  function createColls(protocol) {
+    const Authors = createColl("authors", [
+      { _id: "a1", name: "Ann" },
+      { _id: "a2", name: "Bob" },
+    ]);
+    const Posts = createColl("posts", [
+      { _id: "p1", title: "One", authorId: "a1" },
+      { _id: "p2", title: "Two", authorId: "a2" },
+    ]);
+    bindProtocol([Authors, Posts], protocol);
+    join(Posts, {
+      author: { Coll: Authors, on: ["authorId", "_id"], single: true },
+    });
+    return Posts;
+  }
+
+  it("fetches joins with a single aggregation", async () => {
+    const Posts = createColls({
+      ...memory,
+      findList: () => assert.fail("Joins should be aggregated."),
+    });
+
+    const docs = await fetchList(Posts, {}, { fields, lookup: true });
+    assert.deepEqual(docs, expected);
+  });
+
+  it("falls back to separate queries without 'aggregate'", async () => {
+    // eslint-disable-next-line no-unused-vars
+    const { aggregate, ...withoutAggregate } = memory;
+    const Posts = createColls(withoutAggregate);
+
+    const docs = await fetchList(Posts, {}, { fields, lookup: true });
+    assert.deepEqual(docs, expected);
+  });
+});
+
+/* Value of the first `{ _id: { $gt } }` condition found in a selector */
+function findIdAfter(selector) {
+  if (!selector || typeof selector !== "object") return undefined;
+  if (selector._id?.$gt) return selector._id.$gt;
+  return Object.values(selector).map(findIdAfter).find(Boolean);
+}
+
+describe("fetchPage cursors", () => {
+  it("keep ObjectIds with the node protocol", async () => {
+    const ids = [new ObjectId(), new ObjectId(), new ObjectId()];
+    const selectors = [];
+
+    /* Fake driver collection returning docs after the `_id` of a selector */
+    const Coll = {
+      find: (selector, { limit }) => ({
+        toArray: async () => {
+          selectors.push(selector);
+          const after = findIdAfter(selector);
+          const docs = ids
+            .filter((_id) => !after || _id.toHexString() > after.toHexString())
+            .map((_id) => ({ _id }));
+          return docs.slice(0, limit);
+        },
+      }),
+    };
+    bindProtocol(Coll, node);
+
+    const page1 = await fetchPage(Coll, {}, { first: 2 });
+    const page2 = await fetchPage(
+      Coll,
+      {},
+      { first: 2, after: page1.pageInfo.endCursor }
+    );
+
+    assert.ok(findIdAfter(selectors[1]) instanceof ObjectId);
+    assert.deepEqual(
+      page2.docs.map(({ _id }) => _id),
+      [ids[2]]
+    );
+  });
+
+  it("round-trip dates with the default protocol", async () => {
+    const Coll = { name: "events" };
+    bindProtocol(Coll, memory);
+    const dates = [new Date(0), new Date(1000), new Date(2000)];
+    dates.forEach((at, index) => memory.insert(Coll, { _id: `e${index}`, at }));
+
+    const page1 = await fetchPage(Coll, {}, { first: 2, sort: { at: 1 } });
+    const page2 = await fetchPage(
+      Coll,
+      {},
+      { first: 2, sort: { at: 1 }, after: page1.pageInfo.endCursor }
+    );
+
+    assert.deepEqual(
+      page2.docs.map(({ _id }) => _id),
+      ["e2"]
+    );
+  });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fetchList, fetchOne } from "../src/fetch";
+import { withLoaderScope } from "../src/loader";
+import { bindProtocol } from "../src/protocol";
+import memory from "../src/protocols/memory";
+
+/* New memory collection recording the selectors it is queried with */
+function createColl(protocol = memory) {
+  const Coll = { name: "users", selectors: [] };
+  bindProtocol(Coll, {
+    ...protocol,
+    findList: (...args) => {
+      Coll.selectors.push(args[1]);
+      return protocol.findList(...args);
+    },
+  });
+  ["u1", "u2"].forEach((_id) => memory.insert(Coll, { _id, tags: [] }));
+  return Coll;
+}
+
+const asyncMemory = {
+  ...memory,
+  findList: (...args) => Promise.resolve(memory.findList(...args)),
+};
+
+describe("withLoaderScope", () => {
+  it("batches and memoizes fetches by _id", async () => {
+    const Users = createColl(asyncMemory);
+
+    const names = await withLoaderScope(async () => {
+      await fetchOne(Users, "u1"); // First call, telling the protocol is async
+      Users.selectors.length = 0;
+
+      const [u1, u2] = await Promise.all([
+        fetchOne(Users, "u1"),
+        fetchOne(Users, { _id: "u2" }),
+      ]);
+      await fetchList(Users, { _id: { $in: ["u1", "u2"] } });
+
+      return [u1._id, u2._id];
+    });
+
+    assert.deepEqual(names, ["u1", "u2"]);
+    assert.deepEqual(Users.selectors, [{ _id: { $in: ["u1", "u2"] } }]);
+  });
+
+  it("returns copies of the memoized docs", async () => {
+    const Users = createColl(asyncMemory);
+
+    await withLoaderScope(async () => {
+      await fetchOne(Users, "u2");
+      (await fetchOne(Users, "u1")).tags.push("x");
+
+      assert.deepEqual((await fetchOne(Users, "u1")).tags, []);
+    });
+  });
+
+  it("leaves sync protocols as is", () => {
+    const Users = createColl();
+
+    const doc = withLoaderScope(() => fetchOne(Users, "u1"));
+    assert.equal(doc._id, "u1");
+  });
+});
@@ -0,0 +1,238 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import memory from "../src/protocols/memory";
+
+/* New collection with the given documents */
+function createColl(docs = []) {
+  const Coll = { name: "items" };
+  docs.forEach((doc) => memory.insert(Coll, doc));
+  return Coll;
+}
+
+const ids = (docs) => docs.map(({ _id }) => _id);
+
+describe("memory protocol selectors", () => {
+  const Coll = createColl([
+    { _id: "a", n: 1, tags: ["x", "y"], sub: { k: "v" } },
+    { _id: "b", n: 5, tags: ["y"], items: [{ q: 1 }, { q: 3 }] },
+    { _id: "c", n: null, name: "Carl" },
+    { _id: "d", name: "dave" },
+  ]);
+
+  const find = (selector) => ids(memory.findList(Coll, selector));
+
+  it("matches implicit equality, arrays and dot paths", () => {
+    assert.deepEqual(find("a"), ["a"]);
+    assert.deepEqual(find({ n: 5 }), ["b"]);
+    assert.deepEqual(find({ tags: "y" }), ["a", "b"]);
+    assert.deepEqual(find({ "sub.k": "v" }), ["a"]);
+    assert.deepEqual(find({ "items.q": 3 }), ["b"]);
+  });
+
+  it("matches null with null and missing values", () => {
+    assert.deepEqual(find({ n: null }), ["c", "d"]);
+    assert.deepEqual(find({ n: { $ne: null } }), ["a", "b"]);
+    assert.deepEqual(find({ n: { $exists: false } }), ["d"]);
+  });
+
+  it("compares values of the same type only", () => {
+    assert.deepEqual(find({ n: { $gt: 1 } }), ["b"]);
+    assert.deepEqual(find({ n: { $lte: 5, $gte: 1 } }), ["a", "b"]);
+    assert.deepEqual(find({ name: { $gt: 0 } }), []);
+  });
+
+  it("supports array and element operators", () => {
+    assert.deepEqual(find({ tags: { $all: ["x", "y"] } }), ["a"]);
+    assert.deepEqual(find({ tags: { $size: 1 } }), ["b"]);
+    assert.deepEqual(find({ items: { $elemMatch: { q: { $gt: 2 } } } }), ["b"]);
+    assert.deepEqual(find({ n: { $in: [1, null] } }), ["a", "c", "d"]);
+    assert.deepEqual(find({ n: { $nin: [1, 5] } }), ["c", "d"]);
+  });
+
+  it("supports regular expressions, $not and $mod", () => {
+    assert.deepEqual(find({ name: /^c/i }), ["c"]);
+    assert.deepEqual(find({ name: { $regex: "^d", $options: "" } }), ["d"]);
+    assert.deepEqual(find({ n: { $not: { $gt: 2 } } }), ["a", "c", "d"]);
+    assert.deepEqual(find({ n: { $mod: [2, 1] } }), ["a", "b"]);
+  });
+
+  it("supports logical operators", () => {
+    assert.deepEqual(find({ $or: [{ n: 1 }, { name: "dave" }] }), ["a", "d"]);
+    assert.deepEqual(find({ $and: [{ tags: "y" }, { n: { $gt: 2 } }] }), ["b"]);
+    assert.deepEqual(find({ $nor: [{ n: null }] }), ["a", "b"]);
+  });
+});
+
+describe("memory protocol options", () => {
+  const Coll = createColl([
+    { _id: "a", n: 2, list: [3, 1] },
+    { _id: "b", n: 1, list: [2] },
+    { _id: "c", n: 2, list: [] },
+  ]);
+
+  it("sorts, skips and limits", () => {
+    const sorted = memory.findList(Coll, {}, { sort: { n: -1, _id: 1 } });
+    assert.deepEqual(ids(sorted), ["a", "c", "b"]);
+
+    const page = memory.findList(
+      Coll,
+      {},
+      { sort: [["_id", "desc"]], skip: 1, limit: 1 }
+    );
+    assert.deepEqual(ids(page), ["b"]);
+  });
+
+  it("sorts arrays by their smallest or largest element", () => {
+    assert.deepEqual(ids(memory.findList(Coll, {}, { sort: { list: 1 } })), [
+      "c",
+      "a",
+      "b",
+    ]);
+    assert.deepEqual(ids(memory.findList(Coll, {}, { sort: { list: -1 } })), [
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+
+  it("projects fields", () => {
+    assert.deepEqual(memory.findList(Coll, "a", { fields: { n: 1 } }), [
+      { _id: "a", n: 2 },
+    ]);
+    assert.deepEqual(
+      memory.findList(Coll, "a", { fields: { list: 0, _id: 0 } }),
+      [{ n: 2 }]
+    );
+    assert.deepEqual(
+      memory.findList(Coll, "a", { fields: { list: { $slice: 1 } } }),
+      [{ _id: "a", n: 2, list: [3] }]
+    );
+  });
+
+  it("counts and returns copies", () => {
+    assert.equal(memory.count(Coll, { n: 2 }), 2);
+
+    const [doc] = memory.findList(Coll, "a");
+    doc.list.push(4);
+    assert.deepEqual(memory.findList(Coll, "a")[0].list, [3, 1]);
+  });
+});
+
+describe("memory protocol writes", () => {
+  it("inserts documents, generating missing _ids", () => {
+    const Coll = createColl();
+    const _id = memory.insert(Coll, { n: 1 });
+
+    assert.equal(typeof _id, "string");
+    assert.deepEqual(memory.findList(Coll, _id), [{ _id, n: 1 }]);
+    assert.throws(() => memory.insert(Coll, { _id, n: 2 }), /Duplicate/);
+  });
+
+  it("applies update operators", () => {
+    const Coll = createColl([
+      { _id: "a", n: 1, tags: ["x"], old: 1, sub: { k: 1 } },
+    ]);
+
+    const modifier = {
+      $set: { "sub.k": 2, "sub.j": 1 },
+      $inc: { n: 2 },
+      $unset: { old: "" },
+      $push: { tags: { $each: ["z", "y"], $sort: 1 } },
+      $setOnInsert: { created: true },
+    };
+
+    assert.equal(memory.update(Coll, "a", modifier), 1);
+    assert.deepEqual(memory.findList(Coll, "a"), [
+      { _id: "a", n: 3, tags: ["x", "y", "z"], sub: { k: 2, j: 1 } },
+    ]);
+
+    memory.update(Coll, "a", {
+      $addToSet: { tags: "x" },
+      $pull: { tags: "y" },
+      $rename: { n: "count" },
+      $max: { "sub.k": 1 },
+      $mul: { "sub.j": 10 },
+    });
+    assert.deepEqual(memory.findList(Coll, "a"), [
+      { _id: "a", count: 3, tags: ["x", "z"], sub: { k: 2, j: 10 } },
+    ]);
+  });
+
+  it("replaces documents with a modifier without operators", () => {
+    const Coll = createColl([{ _id: "a", n: 1, old: true }]);
+
+    memory.update(Coll, "a", { n: 2 });
+    assert.deepEqual(memory.findList(Coll, "a"), [{ _id: "a", n: 2 }]);
+  });
+
+  it("rejects unsupported operators and _id changes", () => {
+    const Coll = createColl([{ _id: "a", list: [1] }]);
+
+    assert.throws(
+      () => memory.update(Coll, "a", { $bit: { n: { and: 1 } } }),
+      /not supported/
+    );
+    assert.throws(
+      () => memory.update(Coll, "a", { $set: { "list.$": 2 } }),
+      /Positional/
+    );
+    assert.throws(() => memory.update(Coll, "a", { $set: { _id: "b" } }));
+  });
+
+  it("only counts modified documents and honors multi", () => {
+    const Coll = createColl([
+      { _id: "a", n: 1 },
+      { _id: "b", n: 1 },
+      { _id: "c", n: 2 },
+    ]);
+
+    assert.equal(memory.update(Coll, {}, { $set: { n: 2 } }), 2);
+    assert.equal(
+      memory.update(Coll, {}, { $set: { n: 3 } }, { multi: false }),
+      1
+    );
+  });
+
+  it("removes documents", () => {
+    const Coll = createColl([
+      { _id: "a", n: 1 },
+      { _id: "b", n: 1 },
+      { _id: "c", n: 2 },
+    ]);
+
+    assert.equal(memory.remove(Coll, { n: 1 }, { multi: false }), 1);
+    assert.equal(memory.remove(Coll, {}), 2);
+    assert.deepEqual(memory.findList(Coll, {}), []);
+  });
+});
+
+describe("memory protocol observe", () => {
+  it("reports the initial documents, then the changes", () => {
+    const Coll = createColl([{ _id: "a", n: 1 }]);
+    const calls = [];
+
+    const handle = memory.observe(
+      Coll,
+      { n: { $gt: 0 } },
+      {
+        added: (id, fields) => calls.push(["added", id, fields]),
+        changed: (id, fields) => calls.push(["changed", id, fields]),
+        removed: (id) => calls.push(["removed", id]),
+      }
+    );
+
+    memory.insert(Coll, { _id: "b", n: 2 });
+    memory.update(Coll, "a", { $set: { n: 3 } });
+    memory.update(Coll, "b", { $set: { n: 0 } });
+    handle.stop();
+    memory.remove(Coll, {});
+
+    assert.deepEqual(calls, [
+      ["added", "a", { n: 1 }],
+      ["added", "b", { n: 2 }],
+      ["changed", "a", { n: 3 }],
+      ["removed", "b"],
+    ]);
+  });
+});
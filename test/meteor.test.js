@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import meteorAsync from "../src/protocols/meteorAsync";
+
+/* Fake Meteor collection whose raw collection returns the bulk operations */
+function createColl(makeNewID) {
+  let count = 0;
+  return {
+    _makeNewID: makeNewID || (() => `id${++count}`),
+    rawCollection: () => ({ bulkWrite: async (operations) => operations }),
+  };
+}
+
+describe("meteorAsync bulkWrite", () => {
+  it("gives inserted and upserted docs Meteor ids", async () => {
+    const operations = await meteorAsync.bulkWrite(createColl(), [
+      { insertOne: { document: { n: 1 } } },
+      { insertOne: { document: { _id: "a", n: 2 } } },
+      {
+        updateOne: {
+          filter: { n: 3 },
+          update: { $set: { m: 1 } },
+          upsert: true,
+        },
+      },
+      {
+        updateMany: {
+          filter: { n: 4 },
+          update: [{ $set: { m: 1 } }],
+          upsert: true,
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: "b" },
+          update: { $set: { m: 1 } },
+          upsert: true,
+        },
+      },
+      { updateOne: { filter: { n: 5 }, update: { $set: { m: 1 } } } },
+    ]);
+
+    assert.deepEqual(operations, [
+      { insertOne: { document: { _id: "id1", n: 1 } } },
+      { insertOne: { document: { _id: "a", n: 2 } } },
+      {
+        updateOne: {
+          filter: { n: 3 },
+          update: { $set: { m: 1 }, $setOnInsert: { _id: "id2" } },
+          upsert: true,
+        },
+      },
+      {
+        updateMany: {
+          filter: { n: 4 },
+          update: [
+            { $set: { m: 1 } },
+            { $set: { _id: { $ifNull: ["$_id", "id3"] } } },
+          ],
+          upsert: true,
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: "b" },
+          update: { $set: { m: 1 } },
+          upsert: true,
+        },
+      },
+      { updateOne: { filter: { n: 5 }, update: { $set: { m: 1 } } } },
+    ]);
+  });
+
+  it("requires an _id in replaceOne upserts", async () => {
+    await assert.rejects(
+      async () =>
+        meteorAsync.bulkWrite(createColl(), [
+          {
+            replaceOne: {
+              filter: { n: 1 },
+              replacement: { n: 2 },
+              upsert: true,
+            },
+          },
+        ]),
+      /replaceOne/
+    );
+  });
+
+  it("leaves ids to the driver for collections generating ObjectIds", async () => {
+    const Coll = createColl(() => ({ _str: "0123456789abcdef01234567" }));
+    const operations = [{ insertOne: { document: { n: 1 } } }];
+
+    assert.deepEqual(await meteorAsync.bulkWrite(Coll, operations), operations);
+  });
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { describe, it } from "node:test";
+
+import memory from "../src/protocols/memory";
+import node from "../src/protocols/node";
+
+/* Fake driver collection backed by a memory collection, recording the
+ * commands and change streams it is asked for. */
+function createColl(docs = []) {
+  const store = { name: "items" };
+  docs.forEach((doc) => memory.insert(store, doc));
+
+  const Coll = {
+    dbName: "test",
+    commands: [],
+    streams: [],
+    client: {
+      db: () => ({
+        command: async (command) => {
+          Coll.commands.push(command);
+          return { ok: 1, operationTime: "t0" };
+        },
+      }),
+    },
+    find: (selector, { projection, ...options }) => ({
+      toArray: async () =>
+        memory.findList(store, selector, { ...options, fields: projection }),
+    }),
+    watch(pipeline, options) {
+      const stream = new EventEmitter();
+      stream.close = async () => {};
+      Coll.streams.push({ pipeline, options, stream });
+      return stream;
+    },
+  };
+
+  return { Coll, store };
+}
+
+describe("node protocol observe", () => {
+  it("starts the change stream at the time read before the snapshot", async () => {
+    const { Coll, store } = createColl([{ _id: "a", n: 1 }]);
+    const calls = [];
+
+    const handle = await node.observe(
+      Coll,
+      { n: { $gt: 0 } },
+      {
+        added: (id, fields) => calls.push(["added", id, fields]),
+        changed: (id, fields) => calls.push(["changed", id, fields]),
+      }
+    );
+
+    assert.deepEqual(Coll.commands, [{ ping: 1 }]);
+    assert.deepEqual(Coll.streams[0].options, { startAtOperationTime: "t0" });
+
+    /* Written while the snapshot was fetched, reported by the stream */
+    memory.update(store, "a", { $set: { n: 2 } });
+    Coll.streams[0].stream.emit("change", { documentKey: { _id: "a" } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    await handle.stop();
+
+    assert.deepEqual(calls, [
+      ["added", "a", { n: 1 }],
+      ["changed", "a", { n: 2 }],
+    ]);
+  });
+
+  it("filters the change stream with the selector", async () => {
+    const { Coll } = createColl();
+
+    const handle = await node.observe(Coll, { _id: "a", n: 1 }, {});
+    await handle.stop();
+
+    assert.deepEqual(Coll.streams[0].pipeline, [
+      {
+        $match: {
+          $and: [
+            {
+              operationType: { $in: ["insert", "update", "replace", "delete"] },
+            },
+            { "documentKey._id": "a" },
+            {
+              $or: [
+                { operationType: { $ne: "insert" } },
+                { "fullDocument._id": "a", "fullDocument.n": 1 },
+              ],
+            },
+          ],
+        },
+      },
+    ]);
+  });
+});
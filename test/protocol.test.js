@@ -0,0 +1,21 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { bindProtocol, getProtocol, getProtocolFor } from "../src/protocol";
+import memory from "../src/protocols/memory";
+
+describe("bindProtocol", () => {
+  it("binds and unbinds protocols to collections", () => {
+    const Coll = { name: "items" };
+
+    bindProtocol(Coll, memory);
+    assert.equal(getProtocolFor(Coll).findList, memory.findList);
+
+    bindProtocol(Coll, null);
+    assert.equal(getProtocolFor(Coll), getProtocol());
+  });
+
+  it("rejects collections that can't be weakly referenced", () => {
+    assert.throws(() => bindProtocol("items", memory), TypeError);
+  });
+});
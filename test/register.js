@@ -0,0 +1,5 @@
+/* Lets Node resolve the extensionless relative imports of `src`, as the
+ * bundler does. */
+import { register } from "node:module";
+
+register("./resolve.js", import.meta.url);
@@ -0,0 +1,18 @@
+/**
+ * Module resolution hook trying `.js` and `/index.js` suffixes on relative
+ * specifiers Node can't resolve as is.
+ * @internal
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!specifier.startsWith(".")) throw error;
+
+    try {
+      return await nextResolve(`${specifier}.js`, context);
+    } catch {
+      return nextResolve(`${specifier}/index.js`, context);
+    }
+  }
+}
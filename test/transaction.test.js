@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fetchList } from "../src/fetch";
+import { hook } from "../src/hook";
+import { insert } from "../src/insert";
+import { bindProtocol } from "../src/protocol";
+import memory from "../src/protocols/memory";
+import { remove } from "../src/remove";
+import { withTransaction } from "../src/transaction";
+import { update } from "../src/update";
+
+/* New memory collection with two accounts */
+function createColl() {
+  const Coll = { name: "accounts" };
+  bindProtocol(Coll, memory);
+  memory.insert(Coll, { _id: "a", balance: 10 });
+  memory.insert(Coll, { _id: "b", balance: 0 });
+  return Coll;
+}
+
+const balances = (Coll) =>
+  fetchList(Coll, {}, { sort: { _id: 1 } }).map(({ _id, balance }) => [
+    _id,
+    balance,
+  ]);
+
+describe("withTransaction", () => {
+  it("commits writes and runs deferred hooks afterwards", async () => {
+    const Coll = createColl();
+    const inserted = [];
+    hook(Coll, { onInserted: [{ fn: ({ _id }) => inserted.push(_id) }] });
+
+    const result = await withTransaction(async () => {
+      await update(Coll, "a", { $inc: { balance: -5 } });
+      await update(Coll, "b", { $inc: { balance: 5 } });
+      await insert(Coll, { _id: "c", balance: 0 });
+      assert.deepEqual(inserted, []);
+      return "done";
+    });
+
+    assert.equal(result, "done");
+    assert.deepEqual(balances(Coll), [
+      ["a", 5],
+      ["b", 5],
+      ["c", 0],
+    ]);
+    assert.deepEqual(inserted, ["c"]);
+  });
+
+  it("restores the documents written in an aborted transaction", async () => {
+    const Coll = createColl();
+    const inserted = [];
+    hook(Coll, { onInserted: [{ fn: ({ _id }) => inserted.push(_id) }] });
+
+    await assert.rejects(
+      withTransaction(async () => {
+        await update(Coll, "a", { $inc: { balance: -5 } });
+        await remove(Coll, "b");
+        await insert(Coll, { _id: "c", balance: 5 });
+        throw new Error("Failed");
+      }),
+      /Failed/
+    );
+
+    assert.deepEqual(balances(Coll), [
+      ["a", 10],
+      ["b", 0],
+    ]);
+    assert.deepEqual(inserted, []);
+  });
+
+  it("keeps writes made outside of an aborted transaction", async () => {
+    const Coll = createColl();
+
+    await assert.rejects(
+      withTransaction(async () => {
+        await update(Coll, "a", { $inc: { balance: -5 } });
+
+        /* Written without the session, as by a concurrent request */
+        memory.update(Coll, "b", { $inc: { balance: 1 } });
+        memory.insert(Coll, { _id: "d", balance: 1 });
+
+        throw new Error("Failed");
+      }),
+      /Failed/
+    );
+
+    assert.deepEqual(balances(Coll), [
+      ["a", 10],
+      ["b", 1],
+      ["d", 1],
+    ]);
+  });
+});
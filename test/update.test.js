@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { bulkWrite } from "../src/bulkWrite";
+import { fetchList } from "../src/fetch";
+import { hook } from "../src/hook";
+import { bindProtocol } from "../src/protocol";
+import memory from "../src/protocols/memory";
+import { update, upsert } from "../src/update";
+
+// eslint-disable-next-line no-unused-vars
+const { upsert: _upsert, ...memoryWithoutUpsert } = memory;
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+/* New memory collection with hooks logging their calls */
+function createColl(protocol = memory) {
+  const Coll = { name: "counters" };
+  const log = [];
+  bindProtocol(Coll, protocol);
+
+  hook(Coll, {
+    beforeInsert: [{ fn: (doc) => log.push(["beforeInsert", doc]) }],
+    beforeUpsert: [
+      {
+        fn(selector, modifier) {
+          if (selector.name === "forbidden") throw new Error("Forbidden");
+          modifier.$setOnInsert = { createdBy: "hook" };
+          log.push(["beforeUpsert", selector]);
+        },
+      },
+    ],
+    onInserted: [
+      { fields: { name: 1 }, fn: (doc) => log.push(["onInserted", doc]) },
+    ],
+  });
+
+  memory.insert(Coll, { _id: "a", name: "visits", count: 1 });
+  return { Coll, log };
+}
+
+describe("upsert", () => {
+  it("updates a matching document without upsert hooks", async () => {
+    const { Coll, log } = createColl();
+
+    const res = upsert(Coll, { name: "visits" }, { $inc: { count: 1 } });
+    await tick();
+
+    assert.deepEqual(res, { numberAffected: 1 });
+    assert.deepEqual(log, []);
+  });
+
+  it("runs beforeUpsert, writes its changes and reports the inserted doc", async () => {
+    const { Coll, log } = createColl();
+
+    const { numberAffected, insertedId } = upsert(
+      Coll,
+      { name: "clicks" },
+      { $inc: { count: 1 } }
+    );
+    await tick();
+
+    assert.equal(numberAffected, 1);
+    assert.deepEqual(fetchList(Coll, insertedId), [
+      { _id: insertedId, name: "clicks", count: 1, createdBy: "hook" },
+    ]);
+    assert.deepEqual(log, [
+      ["beforeUpsert", { name: "clicks" }],
+      ["onInserted", { _id: insertedId, name: "clicks" }],
+    ]);
+  });
+
+  it("is prevented by a throwing beforeUpsert", () => {
+    const { Coll } = createColl();
+
+    assert.throws(
+      () => upsert(Coll, { name: "forbidden" }, { $set: { count: 1 } }),
+      /Forbidden/
+    );
+    assert.deepEqual(fetchList(Coll, { name: "forbidden" }), []);
+  });
+
+  it("doesn't guess the inserted _id without protocol upsert", async () => {
+    const { Coll, log } = createColl(memoryWithoutUpsert);
+
+    const res = upsert(Coll, { name: "clicks" }, { $set: { count: 1 } });
+    await tick();
+
+    assert.deepEqual(res, { numberAffected: 1 });
+    assert.equal(fetchList(Coll, { name: "clicks" })[0].createdBy, "hook");
+    assert.deepEqual(log, [["beforeUpsert", { name: "clicks" }]]);
+  });
+});
+
+describe("update with upsert", () => {
+  it("returns the number of affected documents", () => {
+    const { Coll } = createColl();
+
+    assert.equal(
+      update(Coll, { name: "clicks" }, { $set: { n: 1 } }, { upsert: true }),
+      1
+    );
+    assert.equal(
+      update(Coll, { name: "none" }, { $set: { n: 1 } }, { upsert: false }),
+      0
+    );
+  });
+});
+
+describe("bulkWrite upserts", () => {
+  it("run beforeUpsert for operations matching no document", () => {
+    const { Coll, log } = createColl();
+
+    bulkWrite(Coll, [
+      {
+        updateOne: {
+          filter: { name: "visits" },
+          update: { $inc: { count: 1 } },
+          upsert: true,
+        },
+      },
+      {
+        updateOne: {
+          filter: { name: "clicks" },
+          update: { $inc: { count: 1 } },
+          upsert: true,
+        },
+      },
+    ]);
+
+    const [{ _id, createdBy }] = fetchList(Coll, { name: "clicks" });
+    assert.equal(createdBy, "hook");
+    assert.deepEqual(log, [
+      ["beforeUpsert", { name: "clicks" }],
+      ["onInserted", { _id, name: "clicks" }],
+    ]);
+  });
+});